@@ -31,6 +31,48 @@ db.exec(`
     FOREIGN KEY(player1_id) REFERENCES users(id), -- 外键关联用户表
     FOREIGN KEY(player2_id) REFERENCES users(id)  -- 外键关联用户表
   );
+
+  -- 用户设置表 (user_settings)
+  -- 存储每个用户的个人设置（键位、手感等），JSON 格式
+  CREATE TABLE IF NOT EXISTS user_settings (
+    user_id INTEGER PRIMARY KEY,          -- 用户ID
+    data TEXT NOT NULL,                   -- 设置 JSON
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- 更新时间
+    FOREIGN KEY(user_id) REFERENCES users(id)     -- 外键关联用户表
+  );
+
+  -- 40 行冲刺记录表 (sprint_records)
+  -- 每个用户只保存最快的一次成绩
+  CREATE TABLE IF NOT EXISTS sprint_records (
+    user_id INTEGER PRIMARY KEY,          -- 用户ID
+    time_ms INTEGER NOT NULL,             -- 完成用时 (毫秒)
+    pieces INTEGER NOT NULL,              -- 使用的方块数
+    achieved_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- 达成时间
+    FOREIGN KEY(user_id) REFERENCES users(id)     -- 外键关联用户表
+  );
+
+  -- 挖掘模式记录表 (dig_records)
+  -- 每个用户每个难度一行，最短用时和最少方块数分别保存（可能来自不同的对局）
+  CREATE TABLE IF NOT EXISTS dig_records (
+    user_id INTEGER NOT NULL,             -- 用户ID
+    difficulty TEXT NOT NULL,             -- 难度 (easy/normal/hard)
+    time_ms INTEGER NOT NULL,             -- 最短用时 (毫秒)
+    pieces INTEGER NOT NULL,              -- 最少方块数
+    achieved_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- 最近一次刷新纪录的时间
+    PRIMARY KEY(user_id, difficulty),
+    FOREIGN KEY(user_id) REFERENCES users(id)     -- 外键关联用户表
+  );
+
+  -- 2 分钟限时 (Ultra) 记录表 (ultra_records)
+  -- 每个用户只保存最高分的一局
+  CREATE TABLE IF NOT EXISTS ultra_records (
+    user_id INTEGER PRIMARY KEY,          -- 用户ID
+    score INTEGER NOT NULL,               -- 分数
+    lines INTEGER NOT NULL,               -- 消除行数
+    pieces INTEGER NOT NULL,              -- 使用的方块数
+    achieved_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- 达成时间
+    FOREIGN KEY(user_id) REFERENCES users(id)     -- 外键关联用户表
+  );
 `);
 
 // 自动迁移：检查并添加 users 表的 score 字段 (如果不存在)
@@ -4,6 +4,33 @@
  * 提取双人和多人模式中重复的房间管理逻辑
  */
 
+// 房间可选的规则（与大厅创建房间时提供的选项一致，见 src/game/ruleset.js 等）
+const RULESET_PRESETS = ['standard', 'classic', 'wide'];
+const GRAVITY_CURVES = ['guideline', 'nes', 'fixed'];
+const RANDOMIZERS = ['7-bag', '14-bag', 'random', 'nes', 'tgm'];
+
+/**
+ * 规范化房间规则选项（创建房间时由客户端提交）
+ * 只接受预设名称和大厅提供的覆盖选项（重力曲线、方块序列、垃圾行洞口换列概率），
+ * 其余字段一律丢弃，客户端收到后按预设补全为完整规则集；
+ * 缺失或非法时为 null，客户端使用标准规则
+ * @param {Object} options - 客户端提交的选项 { ruleset }
+ * @returns {{ruleset: Object|null}}
+ */
+function normalizeRoomOptions(options) {
+    const ruleset = options && options.ruleset;
+    if (!ruleset || typeof ruleset !== 'object' || Array.isArray(ruleset)) {
+        return { ruleset: null };
+    }
+
+    const result = { name: RULESET_PRESETS.includes(ruleset.name) ? ruleset.name : 'standard' };
+    if (GRAVITY_CURVES.includes(ruleset.gravityCurve)) result.gravityCurve = ruleset.gravityCurve;
+    if (RANDOMIZERS.includes(ruleset.randomizer)) result.randomizer = ruleset.randomizer;
+    const messiness = ruleset.garbageMessiness;
+    if (Number.isInteger(messiness) && messiness >= 0 && messiness <= 100) result.garbageMessiness = messiness;
+    return { ruleset: result };
+}
+
 /**
  * 房间管理器基类
  */
@@ -139,6 +166,7 @@ function broadcastUserMessage(io, roomId, username, text) {
 
 module.exports = {
     RoomManager,
+    normalizeRoomOptions,
     broadcastSystemMessage,
     broadcastUserMessage
 };
@@ -82,6 +82,11 @@ app.post('/api/score', (req, res) => {
         return res.status(400).json({ error: 'Missing userId or score' });
     }
 
+    // 分数为引擎累计的整数（消除、软降、硬降得分之和），拒绝非法值
+    if (!Number.isInteger(score) || score < 0) {
+        return res.status(400).json({ error: 'Invalid score' });
+    }
+
     try {
         // 获取用户当前最高分
         const currentUser = db.prepare('SELECT score FROM users WHERE id = ?').get(userId);
@@ -125,6 +130,271 @@ app.get('/api/leaderboard', (req, res) => {
     }
 });
 
+/**
+ * 提交 40 行冲刺成绩
+ * POST /api/sprint
+ * 接收: { userId, timeMs, pieces }
+ * 只保留每个用户最快的成绩
+ */
+app.post('/api/sprint', (req, res) => {
+    const { userId, timeMs, pieces } = req.body;
+
+    if (!userId || timeMs === undefined || pieces === undefined) {
+        return res.status(400).json({ error: 'Missing userId, timeMs or pieces' });
+    }
+
+    // 用时为正整数毫秒，方块数为非负整数
+    if (!Number.isInteger(timeMs) || timeMs <= 0 || !Number.isInteger(pieces) || pieces < 0) {
+        return res.status(400).json({ error: 'Invalid timeMs or pieces' });
+    }
+
+    try {
+        const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // 没有记录或新成绩更快时更新
+        const best = db.prepare('SELECT time_ms FROM sprint_records WHERE user_id = ?').get(userId);
+        if (!best || timeMs < best.time_ms) {
+            db.prepare(`
+                INSERT INTO sprint_records (user_id, time_ms, pieces, achieved_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(user_id) DO UPDATE SET time_ms = excluded.time_ms, pieces = excluded.pieces, achieved_at = CURRENT_TIMESTAMP
+            `).run(userId, timeMs, pieces);
+            res.json({ success: true, newRecord: true, timeMs });
+        } else {
+            res.json({ success: true, newRecord: false, bestTimeMs: best.time_ms });
+        }
+    } catch (err) {
+        console.error('保存冲刺成绩错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * 获取 40 行冲刺排行榜
+ * GET /api/sprint/leaderboard
+ * 返回用时最短的前20名玩家
+ */
+app.get('/api/sprint/leaderboard', (req, res) => {
+    try {
+        const leaderboard = db.prepare(`
+            SELECT u.username, s.time_ms AS timeMs, s.pieces
+            FROM sprint_records s
+            JOIN users u ON u.id = s.user_id
+            ORDER BY s.time_ms ASC, s.achieved_at ASC
+            LIMIT 20
+        `).all();
+
+        res.json({ success: true, leaderboard });
+    } catch (err) {
+        console.error('获取冲刺排行榜错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * 提交 2 分钟限时 (Ultra) 成绩
+ * POST /api/ultra
+ * 接收: { userId, score, lines, pieces }
+ * 只保留每个用户分数最高的一局
+ */
+app.post('/api/ultra', (req, res) => {
+    const { userId, score, lines, pieces } = req.body;
+
+    if (!userId || score === undefined || lines === undefined || pieces === undefined) {
+        return res.status(400).json({ error: 'Missing userId, score, lines or pieces' });
+    }
+
+    // 分数、行数和方块数均为非负整数
+    if (![score, lines, pieces].every(value => Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: 'Invalid score, lines or pieces' });
+    }
+
+    try {
+        const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // 没有记录或新分数更高时更新
+        const best = db.prepare('SELECT score FROM ultra_records WHERE user_id = ?').get(userId);
+        if (!best || score > best.score) {
+            db.prepare(`
+                INSERT INTO ultra_records (user_id, score, lines, pieces, achieved_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(user_id) DO UPDATE SET score = excluded.score, lines = excluded.lines, pieces = excluded.pieces, achieved_at = CURRENT_TIMESTAMP
+            `).run(userId, score, lines, pieces);
+            res.json({ success: true, newRecord: true, score });
+        } else {
+            res.json({ success: true, newRecord: false, highScore: best.score });
+        }
+    } catch (err) {
+        console.error('保存限时成绩错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * 获取 2 分钟限时 (Ultra) 排行榜
+ * GET /api/ultra/leaderboard
+ * 返回分数最高的前20名玩家
+ */
+app.get('/api/ultra/leaderboard', (req, res) => {
+    try {
+        const leaderboard = db.prepare(`
+            SELECT u.username, r.score, r.lines, r.pieces
+            FROM ultra_records r
+            JOIN users u ON u.id = r.user_id
+            ORDER BY r.score DESC, r.achieved_at ASC
+            LIMIT 20
+        `).all();
+
+        res.json({ success: true, leaderboard });
+    } catch (err) {
+        console.error('获取限时排行榜错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 挖掘模式的难度（与客户端 singleModes.js 的 DIG_DIFFICULTIES 一致）
+const DIG_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// 挖掘排行榜的排序方式 => 排序列
+const DIG_SORT_COLUMNS = {
+    time: 'd.time_ms ASC, d.pieces ASC',
+    pieces: 'd.pieces ASC, d.time_ms ASC'
+};
+
+/**
+ * 提交挖掘模式成绩
+ * POST /api/dig
+ * 接收: { userId, difficulty, timeMs, pieces }
+ * 每个难度分别保留最短用时和最少方块数
+ */
+app.post('/api/dig', (req, res) => {
+    const { userId, difficulty, timeMs, pieces } = req.body;
+
+    if (!userId || !difficulty || timeMs === undefined || pieces === undefined) {
+        return res.status(400).json({ error: 'Missing userId, difficulty, timeMs or pieces' });
+    }
+
+    if (!DIG_DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({ error: 'Invalid difficulty' });
+    }
+
+    // 用时为正整数毫秒，方块数为正整数（至少放一个方块才能挖完）
+    if (!Number.isInteger(timeMs) || timeMs <= 0 || !Number.isInteger(pieces) || pieces <= 0) {
+        return res.status(400).json({ error: 'Invalid timeMs or pieces' });
+    }
+
+    try {
+        const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // 用时或方块数任意一项刷新都算新纪录，两项分别取最优
+        const best = db.prepare('SELECT time_ms, pieces FROM dig_records WHERE user_id = ? AND difficulty = ?').get(userId, difficulty);
+        if (!best || timeMs < best.time_ms || pieces < best.pieces) {
+            db.prepare(`
+                INSERT INTO dig_records (user_id, difficulty, time_ms, pieces, achieved_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(user_id, difficulty) DO UPDATE SET
+                    time_ms = MIN(time_ms, excluded.time_ms),
+                    pieces = MIN(pieces, excluded.pieces),
+                    achieved_at = CURRENT_TIMESTAMP
+            `).run(userId, difficulty, timeMs, pieces);
+            res.json({ success: true, newRecord: true, timeMs, pieces });
+        } else {
+            res.json({ success: true, newRecord: false, bestTimeMs: best.time_ms, bestPieces: best.pieces });
+        }
+    } catch (err) {
+        console.error('保存挖掘成绩错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * 获取挖掘模式排行榜
+ * GET /api/dig/leaderboard?difficulty=normal&sort=time
+ * 返回指定难度用时最短 (sort=time) 或方块数最少 (sort=pieces) 的前20名玩家
+ */
+app.get('/api/dig/leaderboard', (req, res) => {
+    const difficulty = req.query.difficulty || 'normal';
+    const order = DIG_SORT_COLUMNS[req.query.sort || 'time'];
+
+    if (!DIG_DIFFICULTIES.includes(difficulty) || !order) {
+        return res.status(400).json({ error: 'Invalid difficulty or sort' });
+    }
+
+    try {
+        const leaderboard = db.prepare(`
+            SELECT u.username, d.time_ms AS timeMs, d.pieces
+            FROM dig_records d
+            JOIN users u ON u.id = d.user_id
+            WHERE d.difficulty = ?
+            ORDER BY ${order}
+            LIMIT 20
+        `).all(difficulty);
+
+        res.json({ success: true, leaderboard });
+    } catch (err) {
+        console.error('获取挖掘排行榜错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 用户设置 JSON 的最大长度（字符）
+const MAX_SETTINGS_LENGTH = 8192;
+
+/**
+ * 读取用户设置
+ * GET /api/settings/:userId
+ * 返回 { success, settings }，未保存过时 settings 为 null
+ */
+app.get('/api/settings/:userId', (req, res) => {
+    try {
+        const row = db.prepare('SELECT data FROM user_settings WHERE user_id = ?').get(req.params.userId);
+        res.json({ success: true, settings: row ? JSON.parse(row.data) : null });
+    } catch (err) {
+        console.error('读取设置错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * 保存用户设置（键位、手感等）
+ * POST /api/settings
+ * 接收: { userId, settings }
+ */
+app.post('/api/settings', (req, res) => {
+    const { userId, settings } = req.body;
+
+    if (!userId || !settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return res.status(400).json({ error: 'Missing userId or settings' });
+    }
+
+    const data = JSON.stringify(settings);
+    if (data.length > MAX_SETTINGS_LENGTH) {
+        return res.status(400).json({ error: 'Settings too large' });
+    }
+
+    try {
+        const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        db.prepare(`
+            INSERT INTO user_settings (user_id, data, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(user_id) DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP
+        `).run(userId, data);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('保存设置错误:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // --- Socket.IO 逻辑集成 ---
 const socketHandler = require('./socket');
 // 将 socket 处理逻辑分拆到 socket.js 中，并传入 io 和 db 实例
@@ -1,6 +1,6 @@
 
 const { v4: uuidv4 } = require('uuid');
-const { RoomManager, broadcastSystemMessage, broadcastUserMessage } = require('./roomManager.js');
+const { RoomManager, normalizeRoomOptions, broadcastSystemMessage, broadcastUserMessage } = require('./roomManager.js');
 
 // 房间管理器实例
 const roomManager = new RoomManager();
@@ -50,13 +50,15 @@ module.exports = (io, db) => {
         /**
          * 创建房间事件
          * 用户点击“创建房间”时触发
+         * @param {Object} options - 房间规则选项 { ruleset }
          */
-        socket.on('create_room', () => {
+        socket.on('create_room', (options) => {
             const roomId = uuidv4().slice(0, 6); // 生成短 ID
             const room = {
                 id: roomId,
                 players: { [socket.id]: { userId, username } }, // 初始包含创建者
-                status: 'waiting'
+                status: 'waiting',
+                ...normalizeRoomOptions(options) // 房间规则集 (ruleset)
             };
 
             // 存储房间（使用 RoomManager）
@@ -109,7 +111,7 @@ module.exports = (io, db) => {
             // 如果满员（2人），触发游戏准备/开始
             if (roomManager.getPlayerCount(roomId) === 2) {
                 const seed = Math.floor(Math.random() * 2147483647);
-                io.to(roomId).emit('game_ready', { seed });
+                io.to(roomId).emit('game_ready', { seed, ruleset: room.ruleset });
             }
 
             // 更新大厅列表
@@ -139,7 +141,7 @@ module.exports = (io, db) => {
         /**
          * 游戏动作转发事件
          * 负责转发棋盘更新、分数、垃圾行攻击、游戏结束等信号
-         * @param {Object} data - 游戏数据 { type: 'board'|'score'|'garbage'|'game_over', value: ... }
+         * @param {Object} data - 游戏数据 { type: 'board'|'score'|'garbage'|'game_over', value: ..., seed?: 垃圾行洞口种子 }
          */
         socket.on('game_action', (data) => {
             // 寻找包含当前 socket 的房间（使用 RoomManager）
@@ -203,7 +205,7 @@ module.exports = (io, db) => {
             room.status = 'playing';
             io.to(roomId).emit('game_reset');
             const seed = Math.floor(Math.random() * 2147483647);
-            io.to(roomId).emit('game_ready', { seed });
+            io.to(roomId).emit('game_ready', { seed, ruleset: room.ruleset });
             broadcastSystemMessage(io, roomId, '🔄 游戏已重置，新的一局开始！');
         });
     });
@@ -5,7 +5,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { broadcastSystemMessage, broadcastUserMessage } = require('./roomManager.js');
+const { normalizeRoomOptions, broadcastSystemMessage, broadcastUserMessage } = require('./roomManager.js');
 
 // 多人房间存储
 // 房间结构: {
@@ -23,7 +23,8 @@ const { broadcastSystemMessage, broadcastUserMessage } = require('./roomManager.
 //   },
 //   status: 'waiting' | 'playing' | 'finished',
 //   alivePlayers: number,         // 存活玩家数
-//   seed: number                  // 随机种子
+//   seed: number,                 // 随机种子
+//   ruleset: Object|null          // 房间规则（预设名称 + 白名单内的覆盖选项，null 为标准规则）
 // }
 const multiRooms = new Map();
 
@@ -215,8 +216,9 @@ module.exports = (io, db) => {
         /**
          * 创建多人房间
          * @param {number} maxPlayers - 最大玩家数 (3-21)
+         * @param {Object} options - 房间规则选项 { ruleset }
          */
-        socket.on('create_multi_room', (maxPlayers) => {
+        socket.on('create_multi_room', (maxPlayers, options) => {
             // 验证人数范围
             const players = Math.min(21, Math.max(3, parseInt(maxPlayers) || 3));
 
@@ -237,7 +239,8 @@ module.exports = (io, db) => {
                 },
                 status: 'waiting',
                 alivePlayers: 1,
-                seed: null
+                seed: null,
+                ...normalizeRoomOptions(options)
             };
 
             multiRooms.set(roomId, room);
@@ -338,6 +341,7 @@ module.exports = (io, db) => {
                     // 通知所有玩家游戏开始
                     io.to(roomId).emit('multi_game_ready', {
                         seed: room.seed,
+                        ruleset: room.ruleset,
                         players: getPlayerList(room)
                     });
 
@@ -354,7 +358,7 @@ module.exports = (io, db) => {
 
         /**
          * 多人游戏动作转发
-         * 包括：board(棋盘), score(分数), garbage(攻击), game_over(失败)
+         * 包括：board(棋盘), score(分数), garbage(攻击，附带洞口种子 seed), game_over(失败)
          */
         socket.on('multi_game_action', (data) => {
             for (const [roomId, room] of multiRooms) {
@@ -386,7 +390,8 @@ module.exports = (io, db) => {
                             io.to(targetId).emit('multi_receive_garbage', {
                                 fromSocketId: socket.id,
                                 fromUsername: player.username,
-                                lines: data.value
+                                lines: data.value,
+                                seed: data.seed // 垃圾行洞口种子，保证各端生成相同的垃圾行
                             });
 
                             // 广播攻击事件（用于UI显示）
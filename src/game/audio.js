@@ -21,6 +21,7 @@ export class SoundManager {
         this.bgm = new Audio('/music/playing.mp3');
         this.bgm.loop = true;
         this.bgm.volume = 0.15; // 降低音量
+        this.bgmSuspended = false; // 背景音乐是否因暂停而挂起
     }
 
     /**
@@ -133,5 +134,30 @@ export class SoundManager {
         if (!this.bgm) return;
         this.bgm.pause();
         this.bgm.currentTime = 0;
+        this.bgmSuspended = false;
+    }
+
+    /**
+     * 暂停背景音乐（保留播放进度）
+     * 只有正在播放时才会挂起，未开启背景音乐的模式恢复时也不会播放
+     */
+    pauseBGM() {
+        if (!this.bgm || this.bgm.paused) return;
+        this.bgm.pause();
+        this.bgmSuspended = true;
+    }
+
+    /**
+     * 从暂停处继续播放背景音乐
+     */
+    resumeBGM() {
+        if (!this.bgm || !this.bgmSuspended) return;
+        this.bgmSuspended = false;
+        const playPromise = this.bgm.play();
+        if (playPromise !== undefined) {
+            playPromise.catch(error => {
+                console.log("BGM playback prevented by browser:", error);
+            });
+        }
     }
 }
@@ -0,0 +1,1134 @@
+
+/**
+ * core.js - 俄罗斯方块纯模拟核心
+ * 
+ * 只包含棋盘、方块、随机数、规则和事件回调，不依赖 DOM / Canvas / Audio，
+ * 可以在浏览器和 Node.js 中使用（机器人、服务器校验、测试等）
+ */
+
+import { normalizeRuleset, RULESET_PRESETS, DEFAULT_RULESET } from './ruleset.js';
+import { createRandomizer } from './randomizer.js';
+
+// 游戏常量定义（与规则无关的部分；棋盘尺寸、锁定延迟等规则见 ruleset.js）
+export const CONSTANTS = {
+    BLOCK_SIZE: 30,  // 方块像素大小（默认值）
+    // 方块颜色映射 (索引 1-7 对应7种方块，8为垃圾行)
+    COLORS: [
+        null,
+        '#C24CC4', // T - 紫色 (Purple)
+        '#E6D44C', // O - 黄色 (Yellow)
+        '#56D178', // S - 绿色 (Green)
+        '#E05555', // Z - 红色 (Red)
+        '#52D6D6', // I - 青色 (Cyan)
+        '#5C85E6', // J - 蓝色 (Blue)
+        '#E69545', // L - 橙色 (Orange)
+        '#808080', // Garbage - 灰色
+    ],
+    TICKS_PER_SECOND: 60, // 模拟频率：所有时间相关的规则都以 tick 为单位
+    MAX_GRAVITY: 20       // 重力上限 (20G：每 tick 下落 20 行，即瞬间到底)
+};
+
+// 7种俄罗斯方块的形状矩阵定义
+// 均为 SRS (Super Rotation System) 标准的初始朝向（状态 0）
+const PIECES = [
+    [ // T 形
+        [0, 1, 0],
+        [1, 1, 1],
+        [0, 0, 0],
+    ],
+    [ // O 形 (田字)
+        [2, 2],
+        [2, 2],
+    ],
+    [ // S 形
+        [0, 3, 3],
+        [3, 3, 0],
+        [0, 0, 0],
+    ],
+    [ // Z 形
+        [4, 4, 0],
+        [0, 4, 4],
+        [0, 0, 0],
+    ],
+    [ // I 形 (长条)
+        [0, 0, 0, 0],
+        [5, 5, 5, 5],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0],
+    ],
+    [ // J 形
+        [6, 0, 0],
+        [6, 6, 6],
+        [0, 0, 0],
+    ],
+    [ // L 形
+        [0, 0, 7],
+        [7, 7, 7],
+        [0, 0, 0],
+    ]
+];
+
+// NES 经典重力表：每下落一行所需的帧数（第 1 级对应 NES 的 0 级，之后固定为 1 帧/行）
+const NES_FRAMES_PER_ROW = [48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1];
+
+/**
+ * 重力曲线：根据等级返回重力（每 tick 下落的行数，1G = 每 tick 一行）
+ * 房间可以通过名称选择曲线
+ */
+export const GRAVITY_CURVES = {
+    // 指南标准公式：每行下落时间 (0.8 - (level - 1) * 0.007)^(level - 1) 秒，最高 20G
+    // 公式只在前 20 级有意义（第 20 级已超过 20G），再往后底数会变成负数，所以先限制等级
+    guideline: (level) => {
+        const capped = Math.min(level, 20);
+        const seconds = Math.pow(0.8 - (capped - 1) * 0.007, capped - 1);
+        return Math.min(1 / (seconds * CONSTANTS.TICKS_PER_SECOND), CONSTANTS.MAX_GRAVITY);
+    },
+    // NES 经典表：按帧数查表，29 级以后为 1G
+    nes: (level) => 1 / NES_FRAMES_PER_ROW[Math.min(level - 1, NES_FRAMES_PER_ROW.length - 1)],
+    // 固定重力：每秒下落 1 行，不随等级变化（限时模式）
+    fixed: () => 1 / CONSTANTS.TICKS_PER_SECOND
+};
+
+// 默认重力曲线
+export const DEFAULT_GRAVITY_CURVE = 'guideline';
+
+// 垃圾行种子流的盐值：与方块序列使用不同的随机流，互不干扰
+const GARBAGE_SEED_SALT = 0x5bd1e995;
+
+// T 形方块的类型索引（用于 T-Spin 判定）
+const PIECE_T = 0;
+// I 形方块的类型索引（使用独立的踢墙表）
+const PIECE_I = 4;
+
+/**
+ * 根据本次消除计算攻击行数
+ * @param {Object} clear - 消除信息
+ * @param {number} clear.lines - 消除行数
+ * @param {string} clear.spin - T-Spin 类型 ('none' | 'mini' | 'full')
+ * @param {number} clear.combo - 当前连击数
+ * @param {number} clear.backToBack - 当前背靠背计数（>=1 表示 B2B 生效）
+ * @param {boolean} clear.perfectClear - 是否全消
+ * @param {Object} [table] - 攻击表（规则集的 attack 字段），缺省使用标准规则
+ * @returns {number} 攻击行数
+ */
+export function calculateAttack({ lines, spin, combo, backToBack, perfectClear }, table = RULESET_PRESETS[DEFAULT_RULESET].attack) {
+    if (lines === 0) return 0;
+
+    let attack = table[spin][lines] || 0;
+    if (backToBack > 0) attack += table.b2bBonus;
+    if (combo > 0) attack += table.combo[Math.min(combo, table.combo.length - 1)];
+    if (perfectClear) attack += table.perfectClear;
+    return attack;
+}
+
+// 消除行数对应的名称（用于生成消除类型）
+const LINE_CLEAR_NAMES = [null, 'single', 'double', 'triple', 'tetris'];
+
+/**
+ * 根据消除行数和 T-Spin 类型生成消除类型名称
+ * 例如: 'double', 'tspin-double', 'tspin-mini-single', 'tspin'
+ * @param {number} lines - 消除行数
+ * @param {string} spin - T-Spin 类型 ('none' | 'mini' | 'full')
+ * @returns {string}
+ */
+export function getClearType(lines, spin) {
+    const prefix = spin === 'full' ? 'tspin' : spin === 'mini' ? 'tspin-mini' : '';
+    const name = LINE_CLEAR_NAMES[lines];
+    if (!prefix) return name;
+    return name ? `${prefix}-${name}` : prefix;
+}
+
+/**
+ * SRS 踢墙表 (Wall Kick Data)
+ * 键为 "起始状态>目标状态"，状态 0=初始, 1=R(顺时针), 2=180°, 3=L(逆时针)
+ * 偏移量沿用官方表格的坐标系：x 向右为正，y 向上为正（使用时需取反 y）
+ */
+const JLSTZ_KICKS = {
+    '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+};
+
+const I_KICKS = {
+    '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+};
+
+// 180° 旋转没有官方踢墙表，这里采用常见的 SRS+ 180° 表（所有方块通用）
+const KICKS_180 = {
+    '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+};
+
+/**
+ * 线性同余发生器 (Linear Congruential Generator)
+ * 用于生成确定的随机数序列
+ */
+export class Random {
+    constructor(seed = 1) {
+        this.state = seed % 2147483647;
+        if (this.state <= 0) this.state += 2147483646;
+    }
+
+    /**
+     * 生成下一个随机数 [0, 1)
+     */
+    next() {
+        this.state = (this.state * 48271) % 2147483647;
+        return (this.state - 1) / 2147483646;
+    }
+
+    /**
+     * 生成指定范围内的整数 [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * 俄罗斯方块模拟核心类
+ * 由外部驱动时间 (tick) 和输入 (move/rotate/drop/hardDrop/hold)，通过 onXxx 回调发出事件
+ */
+export class TetrisCore {
+    /**
+     * @param {number} seed - 随机种子，确保双方方块序列一致
+     * @param {Object|string} [ruleset] - 规则集或预设名称，缺省为标准规则
+     */
+    constructor(seed = 1, ruleset = null) {
+        this.ruleset = normalizeRuleset(ruleset); // 本局规则（棋盘尺寸、重力、积分表等）
+        this.rng = new Random(seed); // 初始化随机数生成器
+        // 独立的垃圾行种子流：每次攻击生成一个种子，随攻击事件一起发送
+        this.garbageRng = new Random(seed ^ GARBAGE_SEED_SALT);
+
+        this.board = this.createBoard();
+        this.score = 0;
+        this.gameOver = false;
+        this.completed = false; // 是否因达成目标而结束（区别于顶出）
+        this.pieceCount = 0;    // 已锁定的方块数
+
+        // 当前控制的方块
+        this.piece = null;
+        this.pieceType = null; // 当前方块类型索引 (0-6)
+        this.rotation = 0;     // 当前方块的 SRS 旋转状态 (0/1=R/2/3=L)
+        this.lastAction = null; // 最近一次成功的操作 ('move' | 'rotate' | 'drop')，用于 T-Spin 判定
+        this.lastKick = 0;      // 最近一次旋转使用的踢墙序号
+        this.combo = -1;        // 连续消除计数（-1 表示未在连击中）
+        this.backToBack = -1;   // 连续高难度消除计数（-1 表示无，>=1 表示 B2B 生效中）
+        this.nextPieces = []; // 下一个方块预览队列（previewCount 个，存放类型索引）
+        this.pos = { x: 0, y: 0 }; // 方块坐标
+
+        // 待处理的垃圾行队列：收到攻击后先排队，在方块锁定且未消除时才插入棋盘
+        this.pendingGarbage = []; // [{ lines, seed }]
+
+        // 挖掘模式：棋盘上仍未消除的开局垃圾行（按行数组的引用记录，行移动后仍能识别）
+        this.digGarbage = new Set();
+
+        // 暂存 (Hold) 系统：每个方块落地前只能交换一次
+        this.heldPiece = null; // 暂存的方块类型索引，null 表示空
+        this.canHold = true;
+
+        // 等级系统：每消除 linesPerLevel 行升一级，重力按规则集的曲线随等级增加
+        this.level = this.ruleset.startLevel; // 当前等级
+        this.lines = 0;      // 累计消除行数
+
+        // 时间控制（以 tick 计数，不读取系统时间，保证回放和服务器校验可复现）
+        this.dropCounter = 0;  // 累计的下落量 (行)，满 1 行下落一次
+        this.gravity = this.getGravity(this.level); // 当前重力 (行/tick)
+        this.tickCount = 0;    // 游戏已进行的 tick 数
+        this.prevY = 0;        // 上一个 tick 开始时方块的 y 坐标（用于渲染插值）
+
+        // 消行延迟 (Line Clear Delay)：满行保留 lineClearDelay 个 tick 后才消除，期间没有活动方块
+        this.clearTimer = 0;       // 剩余的消行延迟 tick 数
+        this.pendingSpin = 'none'; // 延迟期间保存的 T-Spin 判定结果
+
+        // 锁定延迟 (Lock Delay)：触底后计时，移动/旋转成功可重置
+        this.lockTimer = 0;  // 触底后累计的 tick 数
+        this.lockResets = 0; // 已使用的重置次数
+        this.lowestY = 0;    // 当前方块到达过的最低行（到达新低时重置次数）
+
+        // 事件回调函数
+        this.onGameOver = null;
+        this.onScore = null;
+        this.onCombo = null;       // 连击/背靠背变化回调 ({ combo, backToBack })
+        this.onLevel = null;       // 等级/消除行数变化回调 ({ level, lines })
+        this.onBoardUpdate = null; // 用于同步棋盘状态到服务器
+        this.onNextPieces = null;  // 用于通知UI更新下一个方块预览（改为复数）
+        this.onAttack = null;       // 攻击回调 (lines, clearEvent)，已扣除抵消掉的垃圾行，clearEvent.garbageSeed 为洞口种子
+        this.onGarbageChange = null; // 待处理垃圾行变化回调 (totalLines)
+        this.onHold = null;        // 用于通知UI更新暂存方块 (piece, canHold)
+        this.onClear = null;       // 消除事件回调 ({ type, lines, spin, combo, backToBack, perfectClear, attack, sent })
+        this.onEvent = null;       // 引擎时序事件回调 ({ type: 'lock'|'clear'|'garbage'|'topout'|'complete', tick, ... })，用于动画
+
+        // 方块随机生成器（由规则集选择，只使用种子随机数，保证各端序列一致）
+        this.randomizer = createRandomizer(this.ruleset.randomizer, this.rng);
+
+        // 可选的音效接口（浏览器适配层注入 SoundManager，Node 中为 null）
+        this.soundManager = null;
+    }
+
+    /**
+     * 创建空的棋盘矩阵 (缓冲区 bufferRows 行 + 可见区 rows 行, cols 列)
+     * 第 0 ~ bufferRows-1 行为隐藏缓冲区，之后为可见区域
+     */
+    createBoard() {
+        const { cols, rows, bufferRows } = this.ruleset;
+        return Array.from({ length: bufferRows + rows }, () => Array(cols).fill(0));
+    }
+
+    /**
+     * 重置游戏状态
+     */
+    reset() {
+        this.board = this.createBoard();
+        this.score = 0;
+        this.combo = -1;
+        this.backToBack = -1;
+        this.pendingGarbage = [];
+        this.digGarbage = new Set();
+        this.gameOver = false;
+        this.completed = false;
+        this.pieceCount = 0;
+        this.dropCounter = 0;
+        this.tickCount = 0;
+        this.clearTimer = 0;
+
+        // 重置等级和重力
+        this.level = this.ruleset.startLevel;
+        this.lines = 0;
+        this.gravity = this.getGravity(this.level);
+
+        // 挖掘模式：在空棋盘底部铺上开局垃圾行
+        this.fillDigGarbage();
+
+        // 重置随机生成器（清空袋子/历史，继续使用同一个种子随机流）
+        this.randomizer = createRandomizer(this.ruleset.randomizer, this.rng);
+
+        // 重置暂存
+        this.heldPiece = null;
+        this.canHold = true;
+
+        // 初始化方块预览队列（至少保留 1 个用于生成下一个方块）
+        this.nextPieces = [];
+        for (let i = 0; i < Math.max(this.ruleset.previewCount, 1); i++) {
+            this.nextPieces.push(this.randomPiece());
+        }
+        // 从队列中取出第一个作为当前方块（内部会补充队列并通知预览UI）
+        this.spawnNext();
+
+        if (this.onScore) this.onScore(0);
+        if (this.onCombo) this.onCombo({ combo: this.combo, backToBack: this.backToBack });
+        if (this.onLevel) this.onLevel({ level: this.level, lines: this.lines });
+        this._notifyHold();
+        this._notifyGarbage();
+    }
+
+    /**
+     * 从随机生成器中获取下一个方块类型（默认 7-Bag）
+     * @returns {number} 方块类型索引 (0-6)
+     */
+    randomPiece() {
+        return this.randomizer.next();
+    }
+
+    /**
+     * 根据类型索引创建方块矩阵
+     * @param {number} type - 方块类型索引 (0-6)
+     * @returns {number[][]} 方块矩阵
+     */
+    createPiece(type) {
+        // 深拷贝矩阵，防止修改原定义
+        return PIECES[type].map(row => [...row]);
+    }
+
+    /**
+     * 获取预览队列的方块矩阵（供UI渲染）
+     * @returns {number[][][]}
+     */
+    getPreviewPieces() {
+        return this.nextPieces.slice(0, this.ruleset.previewCount).map(type => this.createPiece(type));
+    }
+
+    /**
+     * 在可见区域上方的缓冲区生成指定类型的方块
+     * 如果一出生就与棋盘重叠，判定为游戏结束 (Block Out)
+     * @param {number} type - 方块类型索引 (0-6)
+     */
+    spawnPiece(type) {
+        this.pieceType = type;
+        this.piece = this.createPiece(type);
+        this.rotation = 0;
+        this.lastAction = null;
+        this.lastKick = 0;
+        // 初始位置水平居中 (3 宽方块位于第 3-5 列，O 位于第 4-5 列)，
+        // 垂直方向位于可见区域正上方的两行缓冲行
+        const { cols, bufferRows } = this.ruleset;
+        this.pos = { x: Math.floor((cols - this.piece[0].length) / 2), y: bufferRows - 2 };
+        this.dropCounter = 0;
+        this.lockTimer = 0;
+        this.lockResets = 0;
+
+        // 检测新方块是否一出生就与棋盘重叠 (Block Out)
+        if (this.collide(this.board, this.piece, this.pos)) {
+            this.lowestY = this.prevY = this.pos.y;
+            this.topOut('blockout');
+            return;
+        }
+
+        // 生成后立即下落一格（如果下方有空间），使方块进入可见区域
+        if (!this.collide(this.board, this.piece, { x: this.pos.x, y: this.pos.y + 1 })) {
+            this.pos.y++;
+        }
+        this.lowestY = this.pos.y;
+        this.prevY = this.pos.y;
+    }
+
+    /**
+     * 顶出 (Top Out)：结束游戏
+     * @param {string} reason - 原因 ('blockout' | 'lockout' | 'garbage')
+     */
+    topOut(reason) {
+        if (this.gameOver) return;
+        this.gameOver = true;
+        this.emitEvent('topout', { reason });
+        if (this.onGameOver) this.onGameOver();
+    }
+
+    /**
+     * 达成本局目标（消除目标行数、到达时间限制或挖完开局垃圾行）：正常结束游戏
+     * 与顶出一样触发 onGameOver，调用方通过 completed 区分
+     * @param {string} reason - 原因 ('lines' | 'time' | 'dig')
+     */
+    complete(reason) {
+        if (this.gameOver) return;
+        this.gameOver = true;
+        this.completed = true;
+        this.emitEvent('complete', { reason });
+        if (this.onGameOver) this.onGameOver();
+    }
+
+    /**
+     * 发出引擎时序事件（附带当前 tick，渲染层据此播放动画，不影响模拟）
+     * @param {string} type - 事件类型
+     * @param {Object} data - 事件数据
+     * @returns {Object} 事件对象
+     */
+    emitEvent(type, data = {}) {
+        const event = { type, tick: this.tickCount, ...data };
+        if (this.onEvent) this.onEvent(event);
+        return event;
+    }
+
+    /**
+     * 检查当前方块是否完全位于可见区域之上 (Lock Out 判定)
+     * @returns {boolean}
+     */
+    isAboveVisible() {
+        return this.piece.every((row, y) =>
+            row.every(value => value === 0 || y + this.pos.y < this.ruleset.bufferRows));
+    }
+
+    /**
+     * 从预览队列中取出下一个方块并生成
+     * 注意：暂存交换不会调用 randomPiece，因此不影响种子序列
+     */
+    spawnNext() {
+        const type = this.nextPieces.shift();
+        this.nextPieces.push(this.randomPiece()); // 补充新方块到队列末尾
+
+        // 触发下一个方块的UI更新回调
+        if (this.onNextPieces) this.onNextPieces(this.getPreviewPieces());
+
+        this.spawnPiece(type);
+    }
+
+    /**
+     * 暂存 (Hold)
+     * 将当前方块放入暂存槽；如果槽中已有方块，则与其交换
+     * 每个方块落地前只能暂存一次；规则集关闭暂存时无效
+     */
+    hold() {
+        if (!this.ruleset.holdEnabled) return;
+        if (this.gameOver || !this.canHold || this.pieceType === null) return;
+
+        const current = this.pieceType;
+        if (this.heldPiece === null) {
+            // 暂存槽为空：放入当前方块，从队列取下一个
+            this.heldPiece = current;
+            this.spawnNext();
+        } else {
+            // 暂存槽有方块：交换（以初始朝向重新生成）
+            const held = this.heldPiece;
+            this.heldPiece = current;
+            this.spawnPiece(held);
+        }
+
+        this.canHold = false;
+        this._notifyHold();
+    }
+
+    /**
+     * 通知UI更新暂存方块
+     */
+    _notifyHold() {
+        if (this.onHold) {
+            const piece = this.heldPiece === null ? null : this.createPiece(this.heldPiece);
+            this.onHold(piece, this.canHold);
+        }
+    }
+
+    /**
+     * 推进一个模拟 tick (1 / TICKS_PER_SECOND 秒)
+     * 处理自动下落和锁定延迟；相同的输入序列总能得到相同的结果
+     */
+    tick() {
+        if (this.gameOver) return;
+
+        this.tickCount++;
+
+        // 到达时间限制，本局完成
+        const { timeLimit } = this.ruleset;
+        if (timeLimit > 0 && this.tickCount >= timeLimit) {
+            this.complete('time');
+            return;
+        }
+
+        // 挖掘模式：定时收到垃圾行
+        const { digInterval } = this.ruleset;
+        if (digInterval > 0 && this.tickCount % digInterval === 0) {
+            this.receiveGarbage(1);
+        }
+
+        // 消行延迟期间暂停下落，计时结束后完成消除并生成下一个方块
+        if (this.clearTimer > 0) {
+            this.clearTimer--;
+            if (this.clearTimer === 0) this._finishLock(this.pendingSpin);
+            return;
+        }
+
+        this.prevY = this.pos.y;
+
+        // 处理自动下落：重力大于 1G 时同一 tick 内下落多行
+        this.dropCounter += this.gravity;
+        if (this.dropCounter >= 1) {
+            const rows = Math.floor(this.dropCounter);
+            for (let i = 0; i < rows; i++) {
+                if (!this.drop()) break;
+            }
+        }
+
+        // 处理锁定延迟：触底期间计时，超时后锁定
+        if (this.isGrounded()) {
+            this.lockTimer++;
+            if (this.lockTimer >= this.ruleset.lockDelay) {
+                this.lockPiece();
+            }
+        } else {
+            this.lockTimer = 0;
+        }
+    }
+
+    /**
+     * 游戏已进行的时间，按模拟 tick 折算（精度为一个 tick，约 16.67 毫秒）
+     * 浏览器中的 TetrisGame 改用实际经过的时间
+     * @returns {number} 毫秒
+     */
+    getElapsedMs() {
+        return Math.round(this.tickCount * 1000 / CONSTANTS.TICKS_PER_SECOND);
+    }
+
+    /**
+     * 按当前重力曲线计算指定等级的重力
+     * @param {number} level - 等级 (从 1 开始)
+     * @returns {number} 重力 (行/tick)
+     */
+    getGravity(level) {
+        const curve = GRAVITY_CURVES[this.ruleset.gravityCurve] || GRAVITY_CURVES[DEFAULT_GRAVITY_CURVE];
+        return curve(level);
+    }
+
+    /**
+     * 累计消除行数，达到阈值时升级并更新重力；达到规则的目标行数或挖完开局垃圾行时完成本局
+     * @param {number} count - 本次消除的行数
+     */
+    addLines(count) {
+        this.lines += count;
+        const level = this.ruleset.startLevel + Math.floor(this.lines / this.ruleset.linesPerLevel);
+        if (level !== this.level) {
+            this.level = level;
+            this.gravity = this.getGravity(level);
+        }
+        if (this.onLevel) this.onLevel({ level: this.level, lines: this.lines });
+
+        const { lineGoal, digRows } = this.ruleset;
+        if (lineGoal > 0 && this.lines >= lineGoal) this.complete('lines');
+        if (digRows > 0 && this.digGarbage.size === 0) this.complete('dig');
+    }
+
+    /**
+     * 方块下落一格逻辑
+     * 触底时不会立即锁定，而是交给锁定延迟处理
+     * @returns {boolean} 是否成功下落
+     */
+    drop() {
+        if (!this.piece) return false;
+        this.dropCounter = 0;
+        this.pos.y++;
+        // 碰撞检测
+        if (this.collide(this.board, this.piece, this.pos)) {
+            this.pos.y--; // 回退一格，等待锁定延迟结束
+            return false;
+        }
+        this.lastAction = 'drop';
+        this._onPieceMoved();
+        return true;
+    }
+
+    /**
+     * 软降 (Soft Drop)：玩家主动下落一格，每格得 softDrop 分
+     * @returns {boolean} 是否成功下落
+     */
+    softDrop() {
+        const moved = this.drop();
+        if (moved) this.addScore(this.ruleset.scoring.softDrop);
+        return moved;
+    }
+
+    /**
+     * 增加分数并通知UI
+     * @param {number} points - 增加的分数
+     */
+    addScore(points) {
+        if (points <= 0) return;
+        this.score += points;
+        if (this.onScore) this.onScore(this.score);
+    }
+
+    /**
+     * 锁定当前方块
+     * 合并到棋盘；有满行且规则设置了消行延迟时，等待延迟结束再消除，否则立即完成
+     */
+    lockPiece() {
+        const spin = this.detectTSpin(); // 在合并前判定 T-Spin
+        const lockOut = this.isAboveVisible(); // 在合并前判定 Lock Out
+        this.emitEvent('lock', { piece: this.pieceType, cells: this.getPieceCells() });
+        this.merge(this.board, this.piece, this.pos); // 将方块合并到棋盘
+        this.pieceCount++;
+        if (this.soundManager) this.soundManager.playLandSound(); // 播放落地音效
+
+        // 方块完全锁定在可见区域之上，游戏结束 (Lock Out)
+        if (lockOut) {
+            this.topOut('lockout');
+            if (this.onBoardUpdate) this.onBoardUpdate(this.board);
+            return;
+        }
+
+        const rows = this.getFullRows();
+        if (rows.length > 0) {
+            const delay = this.ruleset.lineClearDelay;
+            this.emitEvent('clear', { rows, delay });
+            if (delay > 0) {
+                // 满行暂留在棋盘上，延迟期间没有活动方块
+                this.piece = null;
+                this.pieceType = null;
+                this.pendingSpin = spin;
+                this.clearTimer = delay;
+                return;
+            }
+        }
+
+        this._finishLock(spin);
+    }
+
+    /**
+     * 完成锁定：消除满行、插入垃圾行并生成下一个方块
+     * @param {string} spin - 锁定时的 T-Spin 判定结果
+     */
+    _finishLock(spin) {
+        const lines = this.arenaSweep(spin); // 检测消除行
+        if (lines > 0) {
+            this.addLines(lines);
+            // 达成目标（行数或挖掘），本局完成，不再生成新方块
+            if (this.gameOver) {
+                if (this.onBoardUpdate) this.onBoardUpdate(this.board);
+                return;
+            }
+        }
+
+        // 未消除行时，插入排队中的垃圾行（可能将方块顶出棋盘顶部）
+        if (lines === 0) {
+            this.applyPendingGarbage();
+            if (this.gameOver) {
+                if (this.onBoardUpdate) this.onBoardUpdate(this.board);
+                return;
+            }
+        }
+
+        // 方块已落地，重新允许暂存
+        if (!this.canHold) {
+            this.canHold = true;
+            this._notifyHold();
+        }
+
+        // 生成新方块（从队列中取出）
+        this.spawnNext();
+
+        // 触发棋盘更新回调 (用于发送给对手)
+        if (this.onBoardUpdate) this.onBoardUpdate(this.board);
+    }
+
+    /**
+     * 硬降 (Hard Drop)
+     * 瞬间掉落到底部并立即锁定（不等待锁定延迟），每格得 hardDrop 分
+     */
+    hardDrop() {
+        if (!this.piece) return;
+        // 直接移动到落点（与幽灵方块位置一致）
+        const ghost = this.getGhostPosition();
+        this.addScore((ghost.y - this.pos.y) * this.ruleset.scoring.hardDrop);
+        // 实际下落过时，最后的操作不再是旋转（旋转后在高处硬降不算 T-Spin）
+        if (ghost.y > this.pos.y) this.lastAction = 'drop';
+        this.pos = ghost;
+        this.lockPiece();
+    }
+
+    /**
+     * 检查当前方块是否已触底（再下落一格就会碰撞）
+     * @returns {boolean}
+     */
+    isGrounded() {
+        return this.collide(this.board, this.piece, { x: this.pos.x, y: this.pos.y + 1 });
+    }
+
+    /**
+     * 方块成功移动/旋转后的锁定延迟处理
+     * 到达新的最低行时恢复重置次数；触底计时中则重置计时（有次数上限）
+     */
+    _onPieceMoved() {
+        if (this.pos.y > this.lowestY) {
+            this.lowestY = this.pos.y;
+            this.lockResets = 0;
+        }
+        if (this.lockTimer > 0 && this.lockResets < this.ruleset.maxLockResets) {
+            this.lockTimer = 0;
+            this.lockResets++;
+        }
+    }
+
+    /**
+     * 左右移动
+     * @param {number} dir - 1 为右, -1 为左
+     * @returns {boolean} 是否移动成功
+     */
+    move(dir) {
+        if (!this.piece) return false;
+        this.pos.x += dir;
+        if (this.collide(this.board, this.piece, this.pos)) {
+            this.pos.x -= dir; // 如果碰撞则回退
+            return false;
+        }
+        this.lastAction = 'move';
+        this._onPieceMoved();
+        return true;
+    }
+
+    /**
+     * 旋转方块 (SRS)
+     * 依次尝试踢墙表中的偏移量，使用第一个不碰撞的位置
+     * @param {number} dir - 旋转方向: 1 为顺时针, -1 为逆时针, 2 为 180°
+     * @returns {boolean} 是否旋转成功
+     */
+    rotate(dir) {
+        if (!this.piece) return false;
+
+        const from = this.rotation;
+        const to = (from + dir + 4) % 4;
+
+        // 在副本上旋转，失败时无需回退
+        const rotated = this.piece.map(row => [...row]);
+        if (dir === 2) {
+            this._rotateMatrix(rotated, 1);
+            this._rotateMatrix(rotated, 1);
+        } else {
+            this._rotateMatrix(rotated, dir);
+        }
+
+        const kicks = this.getKicks(from, to);
+        for (let i = 0; i < kicks.length; i++) {
+            const [kx, ky] = kicks[i];
+            // 踢墙表的 y 轴向上，棋盘的 y 轴向下
+            const pos = { x: this.pos.x + kx, y: this.pos.y - ky };
+            if (!this.collide(this.board, rotated, pos)) {
+                this.piece = rotated;
+                this.pos = pos;
+                this.rotation = to;
+                this.lastAction = 'rotate';
+                // 180° 旋转的踢墙序号不参与 T-Spin Mini 升级判定
+                this.lastKick = dir === 2 ? 0 : i;
+                this._onPieceMoved();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 获取当前方块从 from 状态旋转到 to 状态的踢墙偏移列表
+     * @param {number} from - 起始旋转状态
+     * @param {number} to - 目标旋转状态
+     * @returns {number[][]} 偏移量数组 [[x, y], ...]
+     */
+    getKicks(from, to) {
+        const key = `${from}>${to}`;
+        if (KICKS_180[key]) return KICKS_180[key];
+        if (this.pieceType === PIECE_I) return I_KICKS[key];
+        return JLSTZ_KICKS[key];
+    }
+
+    /**
+     * T-Spin 判定 (三角规则)
+     * 条件：当前为 T 方块、最后一次操作是旋转、3x3 包围盒的四个角至少有 3 个被占据
+     * 朝向一侧的两个角都被占据为完整 T-Spin，否则为 Mini；
+     * 使用最后一个踢墙偏移 (TST/Fin 踢) 完成的旋转总是视为完整 T-Spin
+     * @returns {string} 'none' | 'mini' | 'full'
+     */
+    detectTSpin() {
+        if (this.pieceType !== PIECE_T || this.lastAction !== 'rotate') return 'none';
+
+        const { x, y } = this.pos;
+        // 墙壁和地板视为被占据
+        const isFilled = (cx, cy) =>
+            cx < 0 || cx >= this.ruleset.cols || cy >= this.board.length ||
+            (cy >= 0 && this.board[cy][cx] !== 0);
+
+        // 四个角，按顺时针顺序: 左上, 右上, 右下, 左下
+        const corners = [
+            isFilled(x, y),
+            isFilled(x + 2, y),
+            isFilled(x + 2, y + 2),
+            isFilled(x, y + 2)
+        ];
+        if (corners.filter(Boolean).length < 3) return 'none';
+
+        // 朝向一侧的两个角: 状态0 为左上/右上，状态R 为右上/右下，依此类推
+        const frontA = corners[this.rotation];
+        const frontB = corners[(this.rotation + 1) % 4];
+        if ((frontA && frontB) || this.lastKick === 4) return 'full';
+        return 'mini';
+    }
+
+    /**
+     * 矩阵旋转辅助函数
+     * 方阵绕中心旋转，结果与 SRS 的旋转状态一致
+     */
+    _rotateMatrix(matrix, dir) {
+        for (let y = 0; y < matrix.length; ++y) {
+            for (let x = 0; x < y; ++x) {
+                [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
+            }
+        }
+        if (dir > 0) {
+            matrix.forEach(row => row.reverse());
+        } else {
+            matrix.reverse();
+        }
+    }
+
+    /**
+     * 碰撞检测
+     * 检查方块是否与棋盘边界或已存在的方块重叠
+     */
+    collide(board, piece, offset) {
+        for (let y = 0; y < piece.length; ++y) {
+            for (let x = 0; x < piece[y].length; ++x) {
+                if (piece[y][x] !== 0 &&
+                    (board[y + offset.y] && board[y + offset.y][x + offset.x]) !== 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 锁定方块
+     * 将当前方块的值写入棋盘矩阵
+     */
+    merge(board, piece, offset) {
+        piece.forEach((row, y) => {
+            row.forEach((value, x) => {
+                if (value !== 0) {
+                    board[y + offset.y][x + offset.x] = value;
+                }
+            });
+        });
+    }
+
+    /**
+     * 扫描并消除满行
+     * @param {string} spin - 本次锁定的 T-Spin 类型 ('none' | 'mini' | 'full')
+     * @returns {number} 消除的行数
+     */
+    arenaSweep(spin = 'none') {
+        let rowCount = 0;
+        // 从底部向上扫描
+        outer: for (let y = this.board.length - 1; y > 0; --y) {
+            for (let x = 0; x < this.board[y].length; ++x) {
+                if (this.board[y][x] === 0) {
+                    continue outer; // 如果当前行有空格，跳过
+                }
+            }
+
+            // 移除满行，并在顶部添加空行
+            const row = this.board.splice(y, 1)[0];
+            this.digGarbage.delete(row);
+            this.board.unshift(row.fill(0));
+            ++y; // 因为移除了一行，需要保持索引检查当前行位置
+            rowCount++;
+        }
+
+        if (rowCount > 0 && this.soundManager) {
+            this.soundManager.playClearSound(); // 播放消除音效
+        }
+
+        const oldCombo = this.combo;
+        const oldBackToBack = this.backToBack;
+
+        // 连击计数：连续消除递增，未消除则中断
+        this.combo = rowCount > 0 ? this.combo + 1 : -1;
+
+        const perfectClear = rowCount > 0 && this.board.every(row => row.every(value => value === 0));
+
+        // 积分规则：基础分按当前等级倍增（T-Spin 即使未消除行也会得分）
+        const scoring = this.ruleset.scoring;
+        let points = (scoring[spin][rowCount] || 0) * this.level;
+
+        // 背靠背：Tetris 和有消除的 T-Spin 为高难度消除，普通消除会中断 B2B
+        // 未消除行的 T-Spin 既不累计也不中断
+        if (rowCount > 0) {
+            const difficult = rowCount === 4 || spin !== 'none';
+            if (difficult) {
+                this.backToBack++;
+                if (this.backToBack > 0) points = Math.floor(points * scoring.b2bMultiplier);
+            } else {
+                this.backToBack = -1;
+            }
+        }
+
+        // 连击奖励
+        if (this.combo > 0) {
+            points += scoring.comboBonus * this.combo * this.level;
+        }
+
+        // 全消奖励（在消除分之外额外加分）
+        if (perfectClear) {
+            points += (scoring.perfectClear[rowCount] || 0) * this.level;
+        }
+
+        if (this.onCombo && (this.combo !== oldCombo || this.backToBack !== oldBackToBack)) {
+            this.onCombo({ combo: this.combo, backToBack: this.backToBack });
+        }
+
+        this.addScore(points);
+
+        if (rowCount === 0 && spin === 'none') return 0;
+
+        // 构造结构化的消除事件（供UI显示和攻击系统使用）
+        const event = {
+            type: getClearType(rowCount, spin),
+            lines: rowCount,
+            spin,
+            combo: this.combo,
+            backToBack: this.backToBack,
+            perfectClear
+        };
+        event.attack = calculateAttack(event, this.ruleset.attack);
+        // 攻击优先抵消自己待处理的垃圾行，剩余部分才发送给对手
+        event.sent = this.cancelGarbage(event.attack);
+
+        // 为发出的垃圾行生成洞口种子，接收方据此还原相同的垃圾行
+        if (event.sent > 0) event.garbageSeed = this.nextGarbageSeed();
+
+        if (this.onClear) this.onClear(event);
+        if (event.sent > 0 && this.onAttack) this.onAttack(event.sent, event);
+
+        return rowCount;
+    }
+
+    /**
+     * 生成下一个垃圾行洞口种子
+     * @returns {number} 种子 [1, 2147483646]
+     */
+    nextGarbageSeed() {
+        return this.garbageRng.nextInt(2147483646) + 1;
+    }
+
+    /**
+     * 接收攻击：垃圾行先进入待处理队列，不会立即插入棋盘
+     * @param {number} lines - 垃圾行数量
+     * @param {number} [seed] - 洞口种子（随攻击事件发送），缺省时使用本地种子流
+     */
+    receiveGarbage(lines, seed = this.nextGarbageSeed()) {
+        if (!lines || lines <= 0) return;
+        this.pendingGarbage.push({ lines, seed });
+        this._notifyGarbage();
+    }
+
+    /**
+     * 用自己的攻击抵消待处理的垃圾行（先到先抵消）
+     * @param {number} attack - 攻击行数
+     * @returns {number} 抵消后剩余的攻击行数
+     */
+    cancelGarbage(attack) {
+        let remaining = attack;
+        while (remaining > 0 && this.pendingGarbage.length > 0) {
+            const entry = this.pendingGarbage[0];
+            const cancelled = Math.min(remaining, entry.lines);
+            entry.lines -= cancelled;
+            remaining -= cancelled;
+            if (entry.lines === 0) this.pendingGarbage.shift();
+        }
+        if (remaining !== attack) this._notifyGarbage();
+        return remaining;
+    }
+
+    /**
+     * 将所有待处理的垃圾行插入棋盘
+     */
+    applyPendingGarbage() {
+        if (this.pendingGarbage.length === 0) return;
+        const queue = this.pendingGarbage;
+        this.pendingGarbage = [];
+        queue.forEach(entry => this.addGarbage(entry.lines, entry.seed));
+        this._notifyGarbage();
+    }
+
+    /**
+     * 获取待处理的垃圾行总数
+     * @returns {number}
+     */
+    getPendingGarbage() {
+        return this.pendingGarbage.reduce((sum, entry) => sum + entry.lines, 0);
+    }
+
+    /**
+     * 通知UI更新垃圾行计量条
+     */
+    _notifyGarbage() {
+        if (this.onGarbageChange) this.onGarbageChange(this.getPendingGarbage());
+    }
+
+    /**
+     * 增加垃圾行（直接插入棋盘底部）
+     * 已有方块被整体上推，可以进入隐藏缓冲区；被推出缓冲区顶部时游戏结束 (Top Out)
+     * 洞口位置由种子决定：同一批垃圾行默认保持同一列，按规则的 garbageMessiness 概率换列
+     * @param {number} lines - 垃圾行数量
+     * @param {number} [seed] - 洞口种子，缺省时使用本地种子流
+     */
+    addGarbage(lines, seed = this.nextGarbageSeed()) {
+        this.createGarbageRows(lines, seed, this.ruleset.garbageMessiness / 100).forEach(row => {
+            const removed = this.board.shift(); // 移除缓冲区顶部一行
+            this.board.push(row);
+            if (removed.some(value => value !== 0)) {
+                this.topOut('garbage'); // 方块被顶出棋盘
+            }
+        });
+        this.emitEvent('garbage', { lines });
+    }
+
+    /**
+     * 生成垃圾行（每行一个洞）
+     * 洞口位置由种子决定：第一行随机，之后按 messiness 概率换到另一列（保证与上一行不同）
+     * @param {number} lines - 垃圾行数量
+     * @param {number} seed - 洞口种子
+     * @param {number} messiness - 换列概率 (0-1)
+     * @returns {number[][]} 垃圾行（从上到下）
+     */
+    createGarbageRows(lines, seed, messiness) {
+        const cols = this.ruleset.cols;
+        const holeRng = new Random(seed);
+        let hole = holeRng.nextInt(cols);
+
+        return Array.from({ length: lines }, (_, i) => {
+            if (i > 0 && holeRng.next() < messiness) {
+                hole = (hole + 1 + holeRng.nextInt(cols - 1)) % cols;
+            }
+            const row = Array(cols).fill(8); // 8 代表垃圾块颜色
+            row[hole] = 0; // 挖一个洞，确保不会完全堵死
+            return row;
+        });
+    }
+
+    /**
+     * 挖掘模式：用开局垃圾行替换棋盘底部的空行，并记录这些行
+     * 不触发垃圾行事件（开局时没有上升动画）
+     */
+    fillDigGarbage() {
+        const { digRows, digMessiness } = this.ruleset;
+        if (digRows <= 0) return;
+        const rows = this.createGarbageRows(digRows, this.nextGarbageSeed(), digMessiness / 100);
+        this.board.splice(this.board.length - digRows, digRows, ...rows);
+        rows.forEach(row => this.digGarbage.add(row));
+    }
+
+    /**
+     * 挖掘模式：剩余的开局垃圾行数
+     * @returns {number}
+     */
+    getDigRemaining() {
+        return this.digGarbage.size;
+    }
+
+    /**
+     * 获取当前方块占据的棋盘格子
+     * @returns {{x: number, y: number}[]}
+     */
+    getPieceCells() {
+        const cells = [];
+        this.piece.forEach((row, y) => {
+            row.forEach((value, x) => {
+                if (value !== 0) cells.push({ x: x + this.pos.x, y: y + this.pos.y });
+            });
+        });
+        return cells;
+    }
+
+    /**
+     * 获取棋盘中所有满行的行号（从上到下）
+     * @returns {number[]}
+     */
+    getFullRows() {
+        const rows = [];
+        // 与 arenaSweep 一致，不检查最顶部的一行
+        for (let y = 1; y < this.board.length; y++) {
+            if (this.board[y].every(value => value !== 0)) rows.push(y);
+        }
+        return rows;
+    }
+
+    /**
+     * 计算幽灵方块位置（当前方块硬降后的落点）
+     * @returns {{x: number, y: number}}
+     */
+    getGhostPosition() {
+        const ghost = { x: this.pos.x, y: this.pos.y };
+        while (!this.collide(this.board, this.piece, { x: ghost.x, y: ghost.y + 1 })) {
+            ghost.y++;
+        }
+        return ghost;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * effects.js - 棋盘动画层（浏览器适配层）
+ *
+ * 接收模拟核心发出的时序事件 (lock / clear / garbage / topout)，
+ * 以 tick 计时播放闪光、行塌落和垃圾行上升动画。只影响绘制，不修改游戏状态，
+ * 因此不会与模拟产生不同步
+ */
+
+// 各动画的持续时间 (tick)
+const LOCK_FLASH_TICKS = 8;     // 锁定闪光
+const CLEAR_FLASH_TICKS = 12;   // 消除行闪光（消行延迟结束后淡出）
+const COLLAPSE_TICKS = 8;       // 上方行塌落
+const GARBAGE_RISE_TICKS = 6;   // 垃圾行上升
+const TOPOUT_TICKS = 30;        // 顶出变暗
+
+/**
+ * 缓出插值 (ease-out)
+ * @param {number} p - 进度 [0, 1]
+ * @returns {number}
+ */
+function easeOut(p) {
+    return 1 - (1 - p) * (1 - p);
+}
+
+/**
+ * 棋盘动画层
+ */
+export class EffectLayer {
+    constructor() {
+        this.time = 0;         // 动画时钟 (tick)，与模拟同步推进
+        this.effects = [];     // 进行中的动画
+        this.toppedOut = false; // 是否已顶出（最终画面保持变暗）
+    }
+
+    /**
+     * 清除所有动画（新的一局开始时调用）
+     */
+    clear() {
+        this.effects = [];
+        this.toppedOut = false;
+    }
+
+    /**
+     * 推进动画时钟一个 tick，并移除已结束的动画
+     */
+    update() {
+        this.time++;
+        this.effects = this.effects.filter(effect => this.time - effect.start < effect.duration);
+    }
+
+    /**
+     * 是否还有进行中的动画
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.effects.length > 0;
+    }
+
+    /**
+     * 处理引擎事件，创建对应的动画
+     * 事件在 tick 中发出，动画从该 tick 结束后开始计时
+     * @param {Object} event - 引擎事件 { type, tick, ... }
+     * @param {number} boardHeight - 棋盘总行数（用于计算塌落偏移）
+     */
+    handle(event, boardHeight) {
+        const start = this.time + 1;
+        switch (event.type) {
+            case 'lock':
+                this.effects.push({ kind: 'lock', start, duration: LOCK_FLASH_TICKS, cells: event.cells });
+                break;
+            case 'clear':
+                this.effects.push({
+                    kind: 'clear',
+                    start,
+                    duration: event.delay + Math.max(CLEAR_FLASH_TICKS, COLLAPSE_TICKS),
+                    rows: event.rows,
+                    delay: event.delay,
+                    shifts: this.getCollapseShifts(event.rows, boardHeight)
+                });
+                break;
+            case 'garbage':
+                this.effects.push({ kind: 'garbage', start, duration: GARBAGE_RISE_TICKS, lines: event.lines });
+                break;
+            case 'topout':
+                this.toppedOut = true;
+                this.effects.push({ kind: 'topout', start, duration: TOPOUT_TICKS });
+                break;
+        }
+    }
+
+    /**
+     * 计算消除后每一行下移的行数（按消除后的行号索引）
+     * @param {number[]} rows - 被消除的行号（消除前）
+     * @param {number} boardHeight - 棋盘总行数
+     * @returns {number[]}
+     */
+    getCollapseShifts(rows, boardHeight) {
+        const shifts = Array(boardHeight).fill(0);
+        let target = boardHeight - 1;
+        for (let y = boardHeight - 1; y >= 0; y--) {
+            if (rows.includes(y)) continue;
+            shifts[target] = target - y;
+            target--;
+        }
+        return shifts;
+    }
+
+    /**
+     * 动画进行的 tick 数（含插值）
+     * @param {Object} effect
+     * @param {number} alpha - 两个 tick 之间的插值系数
+     * @returns {number}
+     */
+    elapsed(effect, alpha) {
+        return this.time - effect.start + alpha;
+    }
+
+    /**
+     * 计算棋盘每一行的绘制偏移（行，正数向下）
+     * 包括消除后上方行的塌落和垃圾行的上升
+     * @param {number} boardHeight - 棋盘总行数
+     * @param {number} alpha - 插值系数
+     * @returns {number[]|null} 没有相关动画时返回 null
+     */
+    getRowOffsets(boardHeight, alpha) {
+        let offsets = null;
+        this.effects.forEach(effect => {
+            const t = this.elapsed(effect, alpha);
+            let shift = null;
+            if (effect.kind === 'clear' && t >= effect.delay && t < effect.delay + COLLAPSE_TICKS) {
+                // 消除已在模拟中完成：上方的行从原位置落到新位置
+                const remaining = 1 - easeOut((t - effect.delay) / COLLAPSE_TICKS);
+                shift = y => -effect.shifts[y] * remaining;
+            } else if (effect.kind === 'garbage' && t < GARBAGE_RISE_TICKS) {
+                // 垃圾行已插入：整个棋盘从下方升起
+                const remaining = 1 - easeOut(t / GARBAGE_RISE_TICKS);
+                shift = () => effect.lines * remaining;
+            }
+            if (!shift) return;
+            if (!offsets) offsets = Array(boardHeight).fill(0);
+            for (let y = 0; y < boardHeight; y++) offsets[y] += shift(y);
+        });
+        return offsets;
+    }
+
+    /**
+     * 在棋盘上方绘制闪光和变暗效果
+     * @param {CanvasRenderer} renderer - 棋盘渲染器（提供坐标换算）
+     * @param {number} alpha - 插值系数
+     */
+    draw(renderer, alpha) {
+        const ctx = renderer.ctx;
+        ctx.save();
+
+        this.effects.forEach(effect => {
+            const t = this.elapsed(effect, alpha);
+            if (effect.kind === 'lock') {
+                ctx.fillStyle = `rgba(255, 255, 255, ${0.5 * (1 - t / LOCK_FLASH_TICKS)})`;
+                effect.cells.forEach(cell => renderer.fillCell(cell.x, cell.y));
+            } else if (effect.kind === 'clear') {
+                let opacity;
+                if (t < effect.delay) {
+                    // 消行延迟期间：满行闪烁
+                    opacity = Math.floor(t / 4) % 2 === 0 ? 0.8 : 0.3;
+                } else {
+                    opacity = 0.8 * Math.max(0, 1 - (t - effect.delay) / CLEAR_FLASH_TICKS);
+                }
+                ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+                effect.rows.forEach(y => renderer.fillRow(y));
+            }
+        });
+
+        // 顶出：棋盘逐渐变暗，动画结束后保持
+        if (this.toppedOut) {
+            const effect = this.effects.find(e => e.kind === 'topout');
+            const progress = effect ? Math.min(this.elapsed(effect, alpha) / TOPOUT_TICKS, 1) : 1;
+            ctx.fillStyle = `rgba(40, 0, 0, ${0.6 * progress})`;
+            ctx.fillRect(0, 0, renderer.canvas.width, renderer.canvas.height);
+        }
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * frameLoop.js - 固定时间步长的帧循环（浏览器适配层）
+ * 
+ * 模拟以固定频率推进 (tick)，与显示器刷新率、后台标签页降频无关；
+ * 渲染每帧执行一次，并拿到两个 tick 之间的插值系数
+ */
+
+// 单帧最多补偿的时间 (毫秒)，防止标签页切回后一次性补跑大量 tick
+const MAX_FRAME_TIME = 250;
+
+/**
+ * 固定步长帧循环
+ */
+export class FrameLoop {
+    /**
+     * @param {Object} handlers - 回调
+     * @param {Function} handlers.onTick - 每个模拟 tick 调用一次，返回 false 时停止循环
+     * @param {Function} handlers.onRender - 每帧调用一次 (alpha)，alpha 为 [0, 1] 的插值系数
+     * @param {Function} [handlers.onStop] - onTick 返回 false、绘制完最后一帧后调用（外部调用 stop 时不调用）
+     * @param {number} tickRate - 每秒 tick 数
+     */
+    constructor({ onTick, onRender, onStop }, tickRate = 60) {
+        this.onTick = onTick;
+        this.onRender = onRender;
+        this.onStop = onStop || null;
+        this.step = 1000 / tickRate;
+        this.accumulator = 0;
+        this.running = false;
+        this.lastTime = null;
+        this.frameId = null;
+        this._frame = this._frame.bind(this);
+    }
+
+    /**
+     * 开始循环
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.accumulator = 0;
+        this.lastTime = null; // 第一帧不推进模拟
+        this.frameId = requestAnimationFrame(this._frame);
+    }
+
+    /**
+     * 停止循环
+     */
+    stop() {
+        this.running = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * 单帧处理：按累计时间推进若干 tick，然后渲染一次
+     * @param {number} time - requestAnimationFrame 提供的时间戳
+     */
+    _frame(time) {
+        if (!this.running) return;
+
+        const frameTime = this.lastTime === null ? 0 : Math.min(time - this.lastTime, MAX_FRAME_TIME);
+        this.lastTime = time;
+        this.accumulator += frameTime;
+
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            if (this.onTick() === false) {
+                this.onRender(1); // 最后一帧直接绘制最终状态
+                this.stop();
+                if (this.onStop) this.onStop();
+                return;
+            }
+        }
+
+        this.onRender(this.accumulator / this.step);
+        this.frameId = requestAnimationFrame(this._frame);
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * randomizer.js - 方块随机生成器
+ *
+ * 所有生成器共用同一个接口 next() => 方块类型索引 (0-6)，
+ * 只从传入的种子随机数生成器取随机数，因此同一种子在各端得到相同的序列
+ */
+
+// 方块种类数量（类型索引 0-6: T, O, S, Z, I, J, L）
+const PIECE_COUNT = 7;
+
+// 部分生成器需要识别的方块类型索引
+const PIECE_S = 2;
+const PIECE_Z = 3;
+
+// TGM 生成器的开局方块：T, I, J, L（不会是 S、Z、O，避免开局无法平放）
+const TGM_STARTERS = [0, 4, 5, 6];
+
+/**
+ * 多副牌袋生成器 (7-Bag / 14-Bag)
+ * 每袋包含 copies 份完整的 7 种方块，打乱后依次取出
+ */
+class BagRandomizer {
+    /**
+     * @param {Random} rng - 种子随机数生成器
+     * @param {number} copies - 每袋包含几份 7 种方块
+     */
+    constructor(rng, copies = 1) {
+        this.rng = rng;
+        this.copies = copies;
+        this.bag = [];
+    }
+
+    /**
+     * 填充方块袋子：将方块索引打乱后放入袋子
+     */
+    fill() {
+        const pieces = [];
+        for (let c = 0; c < this.copies; c++) {
+            for (let type = 0; type < PIECE_COUNT; type++) pieces.push(type);
+        }
+
+        // Fisher-Yates 洗牌算法（使用种子随机数）
+        for (let i = pieces.length - 1; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
+        }
+
+        this.bag.push(...pieces);
+    }
+
+    /**
+     * @returns {number} 方块类型索引
+     */
+    next() {
+        // 如果袋子空了，填充新的一袋
+        if (this.bag.length === 0) {
+            this.fill();
+        }
+        return this.bag.shift();
+    }
+}
+
+/**
+ * 纯随机生成器：每个方块独立等概率
+ */
+class PureRandomizer {
+    /**
+     * @param {Random} rng - 种子随机数生成器
+     */
+    constructor(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * @returns {number} 方块类型索引
+     */
+    next() {
+        return this.rng.nextInt(PIECE_COUNT);
+    }
+}
+
+/**
+ * NES 经典生成器：掷 8 面骰，掷到第 8 面或与上一个方块相同时重掷一次（7 面）
+ * 降低连续出现相同方块的概率，但不保证不重复
+ */
+class NesRandomizer {
+    /**
+     * @param {Random} rng - 种子随机数生成器
+     */
+    constructor(rng) {
+        this.rng = rng;
+        this.last = null;
+    }
+
+    /**
+     * @returns {number} 方块类型索引
+     */
+    next() {
+        let type = this.rng.nextInt(PIECE_COUNT + 1);
+        if (type === PIECE_COUNT || type === this.last) {
+            type = this.rng.nextInt(PIECE_COUNT);
+        }
+        this.last = type;
+        return type;
+    }
+}
+
+/**
+ * TGM 历史生成器 (History-4)
+ * 记住最近 4 个方块，最多重掷 rolls 次以避开历史中的方块；
+ * 历史初始为 Z, S, S, Z，第一个方块不会是 S、Z 或 O
+ */
+class HistoryRandomizer {
+    /**
+     * @param {Random} rng - 种子随机数生成器
+     * @param {number} rolls - 最多掷骰次数
+     */
+    constructor(rng, rolls = 4) {
+        this.rng = rng;
+        this.rolls = rolls;
+        this.history = [PIECE_Z, PIECE_S, PIECE_S, PIECE_Z];
+        this.first = true;
+    }
+
+    /**
+     * @returns {number} 方块类型索引
+     */
+    next() {
+        let type;
+        if (this.first) {
+            type = TGM_STARTERS[this.rng.nextInt(TGM_STARTERS.length)];
+            this.first = false;
+        } else {
+            for (let i = 0; i < this.rolls; i++) {
+                type = this.rng.nextInt(PIECE_COUNT);
+                if (!this.history.includes(type)) break;
+            }
+        }
+
+        this.history.shift();
+        this.history.push(type);
+        return type;
+    }
+}
+
+/**
+ * 可选的随机生成器（规则集 randomizer 字段的取值）
+ */
+export const RANDOMIZERS = {
+    '7-bag': (rng) => new BagRandomizer(rng, 1),
+    '14-bag': (rng) => new BagRandomizer(rng, 2),
+    'random': (rng) => new PureRandomizer(rng),
+    'nes': (rng) => new NesRandomizer(rng),
+    'tgm': (rng) => new HistoryRandomizer(rng, 4)
+};
+
+// 默认随机生成器
+export const DEFAULT_RANDOMIZER = '7-bag';
+
+/**
+ * 按名称创建随机生成器，未知名称使用默认的 7-Bag
+ * @param {string} name - 生成器名称 (RANDOMIZERS 的键)
+ * @param {Random} rng - 种子随机数生成器
+ * @returns {{next: Function}} 生成器实例
+ */
+export function createRandomizer(name, rng) {
+    const factory = RANDOMIZERS[name] || RANDOMIZERS[DEFAULT_RANDOMIZER];
+    return factory(rng);
+}
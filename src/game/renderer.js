@@ -0,0 +1,210 @@
+/**
+ * renderer.js - 棋盘 Canvas 渲染器（浏览器适配层）
+ * 
+ * 只读取模拟核心的状态进行绘制，不修改游戏状态
+ */
+
+import { CONSTANTS } from './core.js';
+import { normalizeRuleset } from './ruleset.js';
+
+/**
+ * 棋盘画布渲染器
+ * 只绘制可见的行；可选地在顶部额外显示若干行隐藏缓冲区 (bufferPeek)
+ */
+export class CanvasRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - 游戏画布元素
+     * @param {number} blockSize - 方块大小（用于缩小渲染）
+     * @param {Object} [ruleset] - 规则集（决定棋盘尺寸），缺省为标准规则
+     */
+    constructor(canvas, blockSize = CONSTANTS.BLOCK_SIZE, ruleset = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.blockSize = blockSize;
+        this.bufferPeek = 0; // 额外显示的缓冲区行数
+        this.setRuleset(ruleset);
+    }
+
+    /**
+     * 按规则集的棋盘尺寸调整画布大小
+     * @param {Object} ruleset - 规则集
+     */
+    setRuleset(ruleset) {
+        const { cols, rows, bufferRows } = normalizeRuleset(ruleset);
+        this.cols = cols;
+        this.rows = rows;
+        this.bufferRows = bufferRows;
+        this.bufferPeek = Math.min(this.bufferPeek, bufferRows);
+        this.resize();
+    }
+
+    /**
+     * 根据棋盘尺寸和显示的缓冲区行数设置画布大小
+     */
+    resize() {
+        this.canvas.width = this.cols * this.blockSize;
+        this.canvas.height = (this.rows + this.bufferPeek) * this.blockSize;
+    }
+
+    /**
+     * 设置在可见区域上方额外显示的缓冲区行数，并相应调整画布高度
+     * @param {number} rows - 显示的缓冲区行数 (0 表示不显示)
+     */
+    setBufferPeek(rows) {
+        this.bufferPeek = Math.max(0, Math.min(rows, this.bufferRows));
+        this.resize();
+    }
+
+    /**
+     * 棋盘坐标到画布行的偏移量（跳过未显示的缓冲行）
+     * @returns {number}
+     */
+    get rowOffset() {
+        return this.bufferPeek - this.bufferRows;
+    }
+
+    /**
+     * 绘制完整画面
+     * @param {TetrisCore} game - 模拟核心实例
+     * @param {Object} options - 绘制选项
+     * @param {boolean} options.showPiece - 是否绘制活动方块（远程镜像不绘制）
+     * @param {boolean} options.showGhost - 是否绘制幽灵方块
+     * @param {number} options.alpha - 两个模拟 tick 之间的插值系数 [0, 1]，1 表示直接使用当前状态
+     * @param {EffectLayer} [options.effects] - 动画层（闪光、塌落等），不传则不绘制动画
+     */
+    render(game, { showPiece = true, showGhost = true, alpha = 1, effects = null } = {}) {
+        // 清空背景
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // 缓冲区以更浅的背景区分
+        if (this.bufferPeek > 0) {
+            this.ctx.fillStyle = '#151515';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.bufferPeek * this.blockSize);
+        }
+
+        // 绘制网格
+        this.drawGrid();
+
+        // 绘制棋盘（动画期间各行带有偏移）
+        const offsets = effects ? effects.getRowOffsets(game.board.length, alpha) : null;
+        this.drawBoard(game.board, offsets);
+
+        // 如果方块存在，绘制当前活动的方块
+        if (showPiece && game.piece) {
+            // 幽灵方块绘制在活动方块之下
+            if (showGhost) {
+                this.drawGhost(game.piece, game.getGhostPosition());
+            }
+            this.drawMatrix(game.piece, this.getInterpolatedPos(game, alpha));
+        }
+
+        // 闪光、变暗等覆盖效果
+        if (effects) {
+            effects.draw(this, alpha);
+        }
+    }
+
+    /**
+     * 绘制棋盘
+     * @param {number[][]} board - 棋盘矩阵
+     * @param {number[]|null} offsets - 每行的绘制偏移（行），null 表示无偏移
+     */
+    drawBoard(board, offsets) {
+        if (!offsets) {
+            this.drawMatrix(board, { x: 0, y: 0 });
+            return;
+        }
+        board.forEach((row, y) => {
+            this.drawMatrix([row], { x: 0, y: y + offsets[y] });
+        });
+    }
+
+    /**
+     * 用当前填充样式填充棋盘中的一个格子（棋盘坐标）
+     * @param {number} x - 列
+     * @param {number} y - 行
+     */
+    fillCell(x, y) {
+        this.ctx.fillRect(x * this.blockSize, (y + this.rowOffset) * this.blockSize,
+            this.blockSize - 1, this.blockSize - 1);
+    }
+
+    /**
+     * 用当前填充样式填充棋盘中的一整行（棋盘坐标）
+     * @param {number} y - 行
+     */
+    fillRow(y) {
+        this.ctx.fillRect(0, (y + this.rowOffset) * this.blockSize, this.canvas.width, this.blockSize);
+    }
+
+    /**
+     * 计算活动方块的插值绘制位置
+     * 只对上一个 tick 内下落一格的情况做平滑，其余情况（生成、硬降、左右移动）直接使用当前位置
+     * @param {TetrisCore} game - 模拟核心实例
+     * @param {number} alpha - 插值系数
+     * @returns {{x: number, y: number}}
+     */
+    getInterpolatedPos(game, alpha) {
+        const fallen = game.pos.y - game.prevY;
+        if (fallen !== 1) return game.pos;
+        return { x: game.pos.x, y: game.prevY + fallen * alpha };
+    }
+
+    /**
+     * 绘制网格线
+     */
+    drawGrid() {
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)'; // 淡淡的白线
+        this.ctx.lineWidth = 1;
+
+        // 绘制竖线
+        for (let i = 1; i < this.cols; i++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(i * this.blockSize, 0);
+            this.ctx.lineTo(i * this.blockSize, this.canvas.height);
+            this.ctx.stroke();
+        }
+
+        // 绘制横线
+        for (let i = 1; i < this.rows + this.bufferPeek; i++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, i * this.blockSize);
+            this.ctx.lineTo(this.canvas.width, i * this.blockSize);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * 绘制幽灵方块（低透明度的落点预览）
+     * @param {number[][]} piece - 方块矩阵
+     * @param {{x: number, y: number}} pos - 落点位置
+     */
+    drawGhost(piece, pos) {
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.25;
+        this.drawMatrix(piece, pos);
+        this.ctx.restore();
+    }
+
+    /**
+     * 绘制矩阵通用方法
+     * offset 为棋盘坐标，落在未显示的缓冲行中的格子不绘制
+     */
+    drawMatrix(matrix, offset) {
+        const top = offset.y + this.rowOffset;
+        matrix.forEach((row, y) => {
+            if (y + top <= -1) return;
+            row.forEach((value, x) => {
+                if (value !== 0) {
+                    this.ctx.fillStyle = CONSTANTS.COLORS[value];
+                    // 绘制方块，留出1px间隙以显示网格感
+                    this.ctx.fillRect((x + offset.x) * this.blockSize,
+                        (y + top) * this.blockSize,
+                        this.blockSize - 1,
+                        this.blockSize - 1);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * ruleset.js - 游戏规则集 (Ruleset)
+ *
+ * 描述一局游戏的所有可变规则：棋盘尺寸、预览数量、暂存开关、重力曲线、锁定延迟、
+ * 积分表、攻击表、随机生成器、结束目标和挖掘垃圾行。规则集是纯 JSON 数据（曲线和生成器以名称引用），
+ * 可以由服务器随 game_ready / multi_game_ready 一起下发，保证各端规则一致
+ *
+ * 与 core.js 互相引用（校验重力曲线名称）：两个模块的顶层代码都不使用对方的导出，
+ * 因此无论先加载哪个模块都能正确初始化
+ */
+
+import { GRAVITY_CURVES } from './core.js';
+import { RANDOMIZERS } from './randomizer.js';
+
+/**
+ * 内置规则预设
+ */
+export const RULESET_PRESETS = {
+    // 标准规则：现代指南 (Guideline) 风格
+    standard: {
+        name: 'standard',
+        cols: 10,               // 棋盘列数
+        rows: 20,               // 可见行数
+        bufferRows: 20,         // 可见区域上方的隐藏缓冲行数
+        previewCount: 5,        // 预览方块数量 (0-5)
+        holdEnabled: true,      // 是否允许暂存
+        gravityCurve: 'guideline', // 重力曲线名称 (GRAVITY_CURVES 的键)
+        startLevel: 1,          // 起始等级
+        linesPerLevel: 10,      // 每消除多少行升一级
+        lockDelay: 30,          // 锁定延迟 (tick，30 = 500 毫秒)
+        maxLockResets: 15,      // 同一高度下移动/旋转重置锁定延迟的最大次数
+        lineClearDelay: 0,      // 消行延迟 (tick)：满行闪烁多久后消除，0 为立即消除
+        randomizer: '7-bag',    // 随机生成器名称 (RANDOMIZERS 的键: 7-bag/14-bag/random/nes/tgm)
+        garbageMessiness: 30,   // 同一次攻击中相邻垃圾行洞口换列的概率 (百分比，0 为整齐，100 为每行都换)
+        lineGoal: 0,            // 目标消除行数：达到后本局完成（如 40 行冲刺），0 为不限
+        timeLimit: 0,           // 时间限制 (tick，7200 = 2 分钟)：到时本局完成，0 为不限
+        digRows: 0,             // 挖掘模式：开局时底部的垃圾行数，全部消除后本局完成，0 为不使用
+        digMessiness: 30,       // 开局垃圾行相邻行洞口换列的概率 (百分比，100 为每行都换)
+        digInterval: 0,         // 每隔多少 tick 收到 1 行垃圾（与对战垃圾行一样排队），0 为不发送
+        // 积分表（指南标准）：按 T-Spin 类型 (none/mini/full) 和消除行数查分，乘以当前等级
+        scoring: {
+            none: { 1: 100, 2: 300, 3: 500, 4: 800 },
+            mini: { 0: 100, 1: 200, 2: 400 },
+            full: { 0: 400, 1: 800, 2: 1200, 3: 1600 },
+            perfectClear: { 1: 800, 2: 1200, 3: 1800, 4: 2000 }, // 全消额外加分（乘以等级）
+            b2bMultiplier: 1.5, // 背靠背奖励倍率
+            comboBonus: 50,     // 每级连击额外加分（乘以等级）
+            softDrop: 1,        // 软降每格得分
+            hardDrop: 2         // 硬降每格得分
+        },
+        // 攻击表（发送给对手的垃圾行数）：按 T-Spin 类型和消除行数查表
+        attack: {
+            none: [0, 0, 1, 2, 4],
+            mini: [0, 0, 1],
+            full: [0, 2, 4, 6],
+            combo: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5], // 按连击数查表，超出表长时取最后一项
+            b2bBonus: 1,        // 背靠背攻击加成
+            perfectClear: 10    // 全消攻击加成
+        }
+    },
+
+    // 经典规则：NES 重力表和随机生成器，无暂存、单个预览、落地后几乎立即锁定
+    classic: {
+        name: 'classic',
+        randomizer: 'nes',
+        previewCount: 1,
+        holdEnabled: false,
+        gravityCurve: 'nes',
+        lockDelay: 1,
+        maxLockResets: 0,
+        lineClearDelay: 18,
+        scoring: {
+            none: { 1: 40, 2: 100, 3: 300, 4: 1200 },
+            mini: { 0: 0, 1: 40, 2: 100 },
+            full: { 0: 0, 1: 40, 2: 100, 3: 300 },
+            perfectClear: { 1: 0, 2: 0, 3: 0, 4: 0 },
+            b2bMultiplier: 1,
+            comboBonus: 0,
+            hardDrop: 0
+        }
+    },
+
+    // 宽场地：12 列 x 24 行，适合多人混战
+    wide: {
+        name: 'wide',
+        cols: 12,
+        rows: 24,
+        bufferRows: 24
+    }
+};
+
+// 默认规则预设名称
+export const DEFAULT_RULESET = 'standard';
+
+/**
+ * 判断是否为普通对象（非数组、非 null）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 深度合并规则：对象逐字段合并，数组和基本类型整体替换
+ * @param {Object} base - 基础规则
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 新对象（不修改参数）
+ */
+function mergeRules(base, overrides) {
+    const result = { ...base };
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        if (value === undefined) return;
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeRules(base[key], value)
+            : value;
+    });
+    return result;
+}
+
+/**
+ * 将整数限制在 [min, max] 范围内，非法值使用默认值
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clampInt(value, min, max, fallback) {
+    const n = Math.floor(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * 按预设中的结构校验积分表/攻击表：数字须为非负有限数，数组和对象的每一项须为非负有限数，
+ * 结构不符时整项使用预设值（客户端提交的规则可能缺项或类型错误，避免对局中访问出错）
+ * 预设中没有的字段被丢弃
+ * @param {*} value - 待校验的表
+ * @param {Object} base - 预设中的同名表
+ * @returns {Object} 校验后的表
+ */
+function normalizeTable(value, base) {
+    const table = isPlainObject(value) ? value : {};
+    const isValidNumber = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+    const result = {};
+    Object.keys(base).forEach(key => {
+        const fallback = base[key];
+        const entry = table[key];
+        let valid;
+        if (typeof fallback === 'number') {
+            valid = isValidNumber(entry);
+        } else if (Array.isArray(fallback)) {
+            valid = Array.isArray(entry) && entry.length > 0 && entry.every(isValidNumber);
+        } else {
+            valid = isPlainObject(entry) && Object.values(entry).every(isValidNumber);
+        }
+        result[key] = valid ? entry : fallback;
+    });
+    return result;
+}
+
+/**
+ * 创建规则集：以预设为基础，叠加覆盖字段
+ * 非标准预设会先合并到标准预设上，因此预设只需列出与标准规则不同的字段
+ * @param {string} [preset] - 预设名称 (RULESET_PRESETS 的键)
+ * @param {Object} [overrides] - 覆盖字段，例如 { gravityCurve: 'nes' }
+ * @returns {Object} 完整的规则集
+ */
+export function createRuleset(preset = DEFAULT_RULESET, overrides = {}) {
+    const base = mergeRules(
+        RULESET_PRESETS[DEFAULT_RULESET],
+        RULESET_PRESETS[preset] || {}
+    );
+    return normalizeRuleset(mergeRules(base, overrides));
+}
+
+/**
+ * 规范化规则集（例如服务器下发的数据）
+ * 缺失的字段按 name 对应的预设补全，数值限制在合理范围内，
+ * 未知的重力曲线/随机生成器名称和格式错误的积分表、攻击表使用预设值
+ * @param {Object|string|null} data - 规则集对象、预设名称或空值（使用默认规则）
+ * @returns {Object} 完整的规则集
+ */
+export function normalizeRuleset(data) {
+    if (!data) return createRuleset();
+    if (typeof data === 'string') return createRuleset(data);
+
+    const preset = RULESET_PRESETS[data.name] ? data.name : DEFAULT_RULESET;
+    const base = mergeRules(RULESET_PRESETS[DEFAULT_RULESET], RULESET_PRESETS[preset]);
+    const rules = mergeRules(base, data);
+
+    rules.cols = clampInt(rules.cols, 4, 20, base.cols);
+    rules.rows = clampInt(rules.rows, 4, 40, base.rows);
+    rules.bufferRows = clampInt(rules.bufferRows, 2, 40, base.bufferRows);
+    rules.previewCount = clampInt(rules.previewCount, 0, 5, base.previewCount);
+    rules.holdEnabled = Boolean(rules.holdEnabled);
+    if (!Object.prototype.hasOwnProperty.call(GRAVITY_CURVES, rules.gravityCurve)) rules.gravityCurve = base.gravityCurve;
+    if (!Object.prototype.hasOwnProperty.call(RANDOMIZERS, rules.randomizer)) rules.randomizer = base.randomizer;
+    rules.scoring = normalizeTable(rules.scoring, base.scoring);
+    rules.attack = normalizeTable(rules.attack, base.attack);
+    rules.startLevel = clampInt(rules.startLevel, 1, 30, base.startLevel);
+    rules.linesPerLevel = clampInt(rules.linesPerLevel, 1, 100, base.linesPerLevel);
+    rules.lockDelay = clampInt(rules.lockDelay, 1, 600, base.lockDelay);
+    rules.maxLockResets = clampInt(rules.maxLockResets, 0, 100, base.maxLockResets);
+    rules.lineClearDelay = clampInt(rules.lineClearDelay, 0, 120, base.lineClearDelay);
+    rules.garbageMessiness = clampInt(rules.garbageMessiness, 0, 100, base.garbageMessiness);
+    rules.lineGoal = clampInt(rules.lineGoal, 0, 1000, base.lineGoal);
+    rules.timeLimit = clampInt(rules.timeLimit, 0, 216000, base.timeLimit);
+    rules.digRows = clampInt(rules.digRows, 0, rules.rows - 1, base.digRows);
+    rules.digMessiness = clampInt(rules.digMessiness, 0, 100, base.digMessiness);
+    rules.digInterval = clampInt(rules.digInterval, 0, 3600, base.digInterval);
+    return rules;
+}
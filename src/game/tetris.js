@@ -1,488 +1,197 @@
-
-// 游戏常量定义
-import { SoundManager } from './audio.js';
-
-export const CONSTANTS = {
-    COLS: 10,        // 棋盘列数
-    ROWS: 20,        // 棋盘行数
-    BLOCK_SIZE: 30,  // 方块像素大小（默认值）
-    // 方块颜色映射 (索引 1-7 对应7种方块，8为垃圾行)
-    COLORS: [
-        null,
-        '#C24CC4', // T - 紫色 (Purple)
-        '#E6D44C', // O - 黄色 (Yellow)
-        '#56D178', // S - 绿色 (Green)
-        '#E05555', // Z - 红色 (Red)
-        '#52D6D6', // I - 青色 (Cyan)
-        '#5C85E6', // J - 蓝色 (Blue)
-        '#E69545', // L - 橙色 (Orange)
-        '#808080', // Garbage - 灰色
-    ],
-    INITIAL_SPEED: 500 // 初始下落间隔 (毫秒)
-};
-
-// 7种俄罗斯方块的形状矩阵定义
-const PIECES = [
-    [ // T 形
-        [0, 1, 0],
-        [1, 1, 1],
-        [0, 0, 0],
-    ],
-    [ // O 形 (田字)
-        [2, 2],
-        [2, 2],
-    ],
-    [ // S 形
-        [0, 3, 3],
-        [3, 3, 0],
-        [0, 0, 0],
-    ],
-    [ // Z 形
-        [4, 4, 0],
-        [0, 4, 4],
-        [0, 0, 0],
-    ],
-    [ // I 形 (长条)
-        [0, 5, 0, 0],
-        [0, 5, 0, 0],
-        [0, 5, 0, 0],
-        [0, 5, 0, 0],
-    ],
-    [ // J 形
-        [0, 6, 0],
-        [0, 6, 0],
-        [6, 6, 0],
-    ],
-    [ // L 形
-        [0, 7, 0],
-        [0, 7, 0],
-        [0, 7, 7],
-    ]
-];
-
 /**
- * 线性同余发生器 (Linear Congruential Generator)
- * 用于生成确定的随机数序列
+ * tetris.js - 浏览器版俄罗斯方块游戏类
+ * 
+ * 在纯模拟核心 (core.js) 之上接入 Canvas 渲染、音效和帧循环，
+ * 保持原有的 TetrisGame(canvas, isRemote, seed, blockSize) 接口，并可选传入规则集
  */
-class Random {
-    constructor(seed = 1) {
-        this.state = seed % 2147483647;
-        if (this.state <= 0) this.state += 2147483646;
-    }
 
-    /**
-     * 生成下一个随机数 [0, 1)
-     */
-    next() {
-        this.state = (this.state * 48271) % 2147483647;
-        return (this.state - 1) / 2147483646;
-    }
+import { TetrisCore, CONSTANTS } from './core.js';
+import { CanvasRenderer } from './renderer.js';
+import { FrameLoop } from './frameLoop.js';
+import { SoundManager } from './audio.js';
+import { EffectLayer } from './effects.js';
 
-    /**
-     * 生成指定范围内的整数 [0, max)
-     */
-    nextInt(max) {
-        return Math.floor(this.next() * max);
-    }
-}
+export { CONSTANTS, GRAVITY_CURVES, DEFAULT_GRAVITY_CURVE, Random, TetrisCore, calculateAttack, getClearType } from './core.js';
+export { RULESET_PRESETS, DEFAULT_RULESET, createRuleset, normalizeRuleset } from './ruleset.js';
+export { RANDOMIZERS, DEFAULT_RANDOMIZER, createRandomizer } from './randomizer.js';
 
 /**
- * 俄罗斯方块核心游戏类
+ * 俄罗斯方块浏览器游戏类
  */
-export class TetrisGame {
-    /**
-     * @param {HTMLCanvasElement} canvas - 游戏画布元素
-     * @param {boolean} isRemote - 是否为远程玩家（镜像模式），如果是则不处理输入和掉落循环
-     */
+export class TetrisGame extends TetrisCore {
     /**
      * @param {HTMLCanvasElement} canvas - 游戏画布元素
      * @param {boolean} isRemote - 是否为远程玩家（镜像模式），如果是则不处理输入和掉落循环
      * @param {number} seed - 随机种子，确保双方方块序列一致
      * @param {number} blockSize - 方块大小（用于缩小渲染）
+     * @param {Object|string} [ruleset] - 规则集或预设名称，缺省为标准规则
      */
-    constructor(canvas, isRemote = false, seed = 1, blockSize = CONSTANTS.BLOCK_SIZE) {
-        this.ctx = canvas.getContext('2d');
-        this.canvas = canvas;
+    constructor(canvas, isRemote = false, seed = 1, blockSize = CONSTANTS.BLOCK_SIZE, ruleset = null) {
+        super(seed, ruleset);
         this.isRemote = isRemote;
-        this.blockSize = blockSize; // 支持可配置方块大小
-        this.rng = new Random(seed); // 初始化随机数生成器
-
-        this.board = this.createBoard();
-        this.score = 0;
-        this.gameOver = false;
-
-        // 当前控制的方块
-        this.piece = null;
-        this.nextPieces = []; // 下一个方块预览队列（5个）
-        this.pos = { x: 0, y: 0 }; // 方块坐标
-
-        // 时间控制（用于下落动画）
-        this.dropCounter = 0;
-        this.dropInterval = CONSTANTS.INITIAL_SPEED;
-        this.lastTime = 0;
-
-        // 事件回调函数
-        this.onGameOver = null;
-        this.onScore = null;
-        this.onBoardUpdate = null; // 用于同步棋盘状态到服务器
-        this.onNextPieces = null;  // 用于通知UI更新下一个方块预览（改为复数）
-        this.onLinesCleared = null; // 消除行回调
-
-        // 7-Bag 系统：保证每7个方块中各种类型各出现一次
-        this.bag = [];
-
+        this.showGhost = true; // 是否显示幽灵方块（落点预览）
+        this.paused = false;   // 是否已暂停
+        this.inputController = null; // 输入控制器（每 tick 处理按住的按键），由页面通过 bind 挂接
+
+        // 实际计时（performance.now，单调时钟）：暂停期间不计，游戏结束时停止
+        this.clockElapsed = 0;  // 之前各段累计的毫秒数
+        this.clockStart = null; // 当前计时段的开始时间，未在计时时为 null
+
+        this.renderer = new CanvasRenderer(canvas, blockSize, this.ruleset);
+        this.effects = new EffectLayer(); // 锁定/消除/垃圾行/顶出动画
+        this.stoppedCallbacks = []; // 帧循环自然停止（顶出动画播放完毕等）后调用的回调
+        this.frameLoop = new FrameLoop({
+            onTick: () => this.loop(),
+            onRender: (alpha) => this.draw(alpha),
+            onStop: () => this._flushStopped()
+        }, CONSTANTS.TICKS_PER_SECOND);
         this.soundManager = new SoundManager();
     }
 
-    /**
-     * 填充方块袋子 (7-Bag 系统)
-     * 将 0-6 的方块索引打乱后放入袋子
-     */
-    fillBag() {
-        // 创建 0-6 的数组
-        const pieces = [0, 1, 2, 3, 4, 5, 6];
-
-        // Fisher-Yates 洗牌算法（使用种子随机数）
-        for (let i = pieces.length - 1; i > 0; i--) {
-            const j = this.rng.nextInt(i + 1);
-            [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
-        }
-
-        // 加入袋子
-        this.bag.push(...pieces);
-    }
-
-    /**
-     * 创建空的棋盘矩阵 (20行 x 10列)
-     */
-    createBoard() {
-        return Array.from({ length: CONSTANTS.ROWS }, () => Array(CONSTANTS.COLS).fill(0));
-    }
-
     /**
      * 启动游戏
      */
     start() {
         if (this.isRemote) return; // 远程游戏不需要本地循环驱动
         this.reset();
-        this.loop();
+        this.clockElapsed = 0;
+        this.clockStart = performance.now();
+        this.frameLoop.start();
     }
 
     /**
-     * 重置游戏状态
+     * 重置游戏状态，并清除上一局残留的动画
      */
     reset() {
-        this.board = this.createBoard();
-        this.score = 0;
-        this.gameOver = false;
-        this.dropInterval = CONSTANTS.INITIAL_SPEED;
-        this.dropCounter = 0;
-
-        // 记录游戏开始时间（用于加速机制）
-        this.gameStartTime = Date.now();
-
-        // 重置 7-Bag 系统
-        this.bag = [];
-
-        // 初始化方块预览队列（5个）
-        this.nextPieces = [];
-        for (let i = 0; i < 5; i++) {
-            this.nextPieces.push(this.randomPiece());
-        }
-        // 从队列中取出第一个作为当前方块
-        this.piece = this.nextPieces.shift();
-        this.nextPieces.push(this.randomPiece()); // 补充一个新的
-        this.pos = { x: 3, y: 0 }; // 初始位置居中
-
-        if (this.onScore) this.onScore(0);
-        if (this.onNextPieces) this.onNextPieces(this.nextPieces);
+        this.effects.clear();
+        this.paused = false;
+        this.stoppedCallbacks = [];
+        super.reset();
     }
 
     /**
-     * 从 7-Bag 中获取下一个方块
-     * 保证每 7 个方块中，每种类型各出现恰好 1 次
+     * 暂停游戏：停止帧循环和背景音乐，模拟状态原样保留
+     * 暂停期间不推进任何 tick，因此重力、锁定延迟和计时都会冻结
+     * @returns {boolean} 是否成功暂停（远程、已结束或已暂停时返回 false）
      */
-    randomPiece() {
-        // 如果袋子空了，填充新的 7 个方块
-        if (this.bag.length === 0) {
-            this.fillBag();
-        }
-
-        // 从袋子取出一个
-        const id = this.bag.shift();
-        const matrix = PIECES[id];
-        // 深拷贝矩阵，防止修改原定义
-        return matrix.map(row => [...row]);
+    pause() {
+        if (this.isRemote || this.gameOver || this.paused) return false;
+        this.paused = true;
+        this.stopClock();
+        this.frameLoop.stop();
+        this.soundManager.pauseBGM();
+        return true;
     }
 
     /**
-     * 游戏主循环 (RequestAnimationFrame)
-     * @param {number} time - 当前时间戳
+     * 继续游戏
+     * 帧循环重新开始计时，暂停期间经过的时间不会被补跑
+     * @returns {boolean} 是否成功继续（未暂停或已结束时返回 false）
      */
-    loop(time = 0) {
-        if (this.gameOver) return;
-
-        const deltaTime = time - this.lastTime;
-        this.lastTime = time;
-
-        // 计算游戏进行时间（分钟，浮点数）
-        const elapsedMinutes = (Date.now() - this.gameStartTime) / 60000;
-        // 平滑加速：每分钟减少100毫秒，连续渐进而非阶梯跳变，最低100毫秒
-        this.dropInterval = Math.max(150, CONSTANTS.INITIAL_SPEED - elapsedMinutes * 100);
-
-        // 处理自动下落
-        this.dropCounter += deltaTime;
-        if (this.dropCounter > this.dropInterval) {
-            this.drop();
-        }
-
-        this.draw();
-        requestAnimationFrame(this.loop.bind(this));
+    resume() {
+        if (!this.paused || this.gameOver) return false;
+        this.paused = false;
+        this.clockStart = performance.now();
+        this.frameLoop.start();
+        this.soundManager.resumeBGM();
+        return true;
     }
 
     /**
-     * 方块下落一格逻辑
+     * 每个固定 tick 的处理：推进模拟和动画时钟
+     * 顶出或达成目标后继续推进动画，直到动画播放完毕
+     * @returns {boolean} 游戏结束且动画结束时返回 false 以停止帧循环
      */
-    drop() {
-        this.pos.y++;
-        // 碰撞检测
-        if (this.collide(this.board, this.piece, this.pos)) {
-            this.pos.y--; // 回退一格
-            this.merge(this.board, this.piece, this.pos); // 将方块合并到棋盘
-            this.soundManager.playLandSound(); // 播放落地音效
-            this.arenaSweep(); // 检测消除行
-
-            // 生成新方块（从队列中取出）
-            this.piece = this.nextPieces.shift();
-            this.nextPieces.push(this.randomPiece()); // 补充新方块到队列末尾
-
-            // 触发下一个方块的UI更新回调
-            if (this.onNextPieces) this.onNextPieces(this.nextPieces);
-
-            // 重置新方块位置
-            this.pos = { x: 3, y: 0 };
-
-            // 检测新方块是否一出生就碰撞 (Game Over)
-            if (this.collide(this.board, this.piece, this.pos)) {
-                this.gameOver = true;
-                if (this.onGameOver) this.onGameOver();
-            }
-
-            // 触发棋盘更新回调 (用于发送给对手)
-            if (this.onBoardUpdate) this.onBoardUpdate(this.board);
+    loop() {
+        if (this.gameOver && !this.effects.toppedOut && !this.completed) {
+            this.stopClock();
+            return false; // 外部结束游戏，立即停止
         }
-        this.dropCounter = 0;
-    }
 
-    /**
-     * 硬降 (Hard Drop)
-     * 瞬间掉落到底部
-     */
-    hardDrop() {
-        // 循环下落直到发生碰撞
-        while (!this.collide(this.board, this.piece, { x: this.pos.x, y: this.pos.y + 1 })) {
-            this.pos.y++;
-        }
-        // 执行最终的锁定逻辑
-        this.drop();
+        if (this.inputController) this.inputController.update(this);
+        this.tick();
+        this.effects.update();
+        return !this.gameOver || this.effects.isActive();
     }
 
     /**
-     * 左右移动
-     * @param {number} dir - 1 为右, -1 为左
+     * 游戏已进行的实际时间（毫秒精度，不含暂停时间）
+     * @returns {number} 毫秒
      */
-    move(dir) {
-        this.pos.x += dir;
-        if (this.collide(this.board, this.piece, this.pos)) {
-            this.pos.x -= dir; // 如果碰撞则回退
-        }
+    getElapsedMs() {
+        const running = this.clockStart !== null ? performance.now() - this.clockStart : 0;
+        return Math.round(this.clockElapsed + running);
     }
 
     /**
-     * 旋转方块
-     * @param {number} dir - 旋转方向 (目前只用到了顺时针)
+     * 停止当前计时段，累计已经过的时间
      */
-    rotate(dir) {
-        const pos = this.pos.x;
-        let offset = 1;
-        this._rotateMatrix(this.piece, dir);
-
-        // 简单的踢墙算法 (Wall Kick)
-        // 如果旋转后发生碰撞，尝试左右平移来修正
-        while (this.collide(this.board, this.piece, this.pos)) {
-            this.pos.x += offset;
-            offset = -(offset + (offset > 0 ? 1 : -1));
-            // 如果尝试次数过多超过方块宽度，说明无法旋转，回退旋转
-            if (offset > this.piece[0].length) {
-                this._rotateMatrix(this.piece, -dir);
-                this.pos.x = pos;
-                return;
-            }
-        }
+    stopClock() {
+        if (this.clockStart === null) return;
+        this.clockElapsed += performance.now() - this.clockStart;
+        this.clockStart = null;
     }
 
     /**
-     * 矩阵旋转辅助函数
+     * 在帧循环停止、不再重绘画布后调用回调（用于在棋盘上绘制名次等覆盖内容）
+     * 游戏结束后循环还会播放顶出动画并重绘最后一帧，直接绘制的内容会被覆盖；
+     * 循环已停止时立即调用
+     * @param {Function} callback
      */
-    _rotateMatrix(matrix, dir) {
-        for (let y = 0; y < matrix.length; ++y) {
-            for (let x = 0; x < y; ++x) {
-                [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
-            }
-        }
-        if (dir > 0) {
-            matrix.forEach(row => row.reverse());
+    whenStopped(callback) {
+        if (this.frameLoop.running) {
+            this.stoppedCallbacks.push(callback);
         } else {
-            matrix.reverse();
+            callback();
         }
     }
 
     /**
-     * 碰撞检测
-     * 检查方块是否与棋盘边界或已存在的方块重叠
+     * 调用并清空等待帧循环停止的回调
      */
-    collide(board, piece, offset) {
-        for (let y = 0; y < piece.length; ++y) {
-            for (let x = 0; x < piece[y].length; ++x) {
-                if (piece[y][x] !== 0 &&
-                    (board[y + offset.y] && board[y + offset.y][x + offset.x]) !== 0) {
-                    return true;
-                }
-            }
-        }
-        return false;
+    _flushStopped() {
+        const callbacks = this.stoppedCallbacks;
+        this.stoppedCallbacks = [];
+        callbacks.forEach(callback => callback());
     }
 
     /**
-     * 锁定方块
-     * 将当前方块的值写入棋盘矩阵
+     * 发出引擎事件，同时交给动画层
+     * @param {string} type - 事件类型
+     * @param {Object} data - 事件数据
+     * @returns {Object} 事件对象
      */
-    merge(board, piece, offset) {
-        piece.forEach((row, y) => {
-            row.forEach((value, x) => {
-                if (value !== 0) {
-                    board[y + offset.y][x + offset.x] = value;
-                }
-            });
-        });
+    emitEvent(type, data) {
+        // 顶出或完成时立即停止计时（可能发生在按键处理中，早于下一帧）
+        if (type === 'topout' || type === 'complete') this.stopClock();
+        const event = super.emitEvent(type, data);
+        this.effects.handle(event, this.board.length);
+        return event;
     }
 
     /**
-     * 扫描并消除满行
-     */
-    arenaSweep() {
-        let rowCount = 0;
-        // 从底部向上扫描
-        outer: for (let y = this.board.length - 1; y > 0; --y) {
-            for (let x = 0; x < this.board[y].length; ++x) {
-                if (this.board[y][x] === 0) {
-                    continue outer; // 如果当前行有空格，跳过
-                }
-            }
-
-            // 移除满行，并在顶部添加空行
-            const row = this.board.splice(y, 1)[0].fill(0);
-            this.board.unshift(row);
-            ++y; // 因为移除了一行，需要保持索引检查当前行位置
-            rowCount++;
-        }
-
-        // 积分规则
-        if (rowCount > 0) {
-            this.soundManager.playClearSound(); // 播放消除音效
-
-            const oldScore = this.score;
-            const scoreTable = { 1: 80, 2: 160, 3: 280, 4: 400 };
-            this.score += scoreTable[rowCount] || 0;
-            if (this.onScore) this.onScore(this.score);
-
-            // 积分每达到 200 分触发一次攻击判定
-            const attackLines = Math.floor(this.score / 200) - Math.floor(oldScore / 200);
-            if (attackLines > 0 && this.onLinesCleared) {
-                this.onLinesCleared(attackLines);
-            }
-        }
+     * 绘制函数
+     * @param {number} alpha - 两个 tick 之间的插值系数 [0, 1]
+     */
+    draw(alpha = 1) {
+        this.renderer.render(this, {
+            showPiece: !this.isRemote,
+            showGhost: this.showGhost,
+            alpha,
+            effects: this.effects
+        });
     }
 
     /**
-     * 增加垃圾行 (被攻击)
+     * 增加垃圾行，并立即重绘
      * @param {number} lines - 垃圾行数量
+     * @param {number} [seed] - 洞口种子
      */
-    addGarbage(lines) {
-        for (let i = 0; i < lines; i++) {
-            const row = Array(CONSTANTS.COLS).fill(8); // 8 代表垃圾块颜色
-            // 随机挖一个洞，确保不会完全堵死
-            const hole = Math.floor(Math.random() * CONSTANTS.COLS);
-            row[hole] = 0;
-            this.board.shift(); // 移除顶部一行 (可能导致方块被顶出死亡)
-            this.board.push(row);
-        }
-        // 强制重绘
+    addGarbage(lines, seed) {
+        super.addGarbage(lines, seed);
         this.draw();
     }
 
-    /**
-     * 绘制网格线
-     */
-    drawGrid() {
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)'; // 淡淡的白线
-        this.ctx.lineWidth = 1;
-
-        // 绘制竖线
-        for (let i = 1; i < CONSTANTS.COLS; i++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(i * this.blockSize, 0);
-            this.ctx.lineTo(i * this.blockSize, this.canvas.height);
-            this.ctx.stroke();
-        }
-
-        // 绘制横线
-        for (let i = 1; i < CONSTANTS.ROWS; i++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, i * this.blockSize);
-            this.ctx.lineTo(this.canvas.width, i * this.blockSize);
-            this.ctx.stroke();
-        }
-    }
-
-    /**
-     * 绘制函数
-     */
-    draw() {
-        // 清空背景
-        this.ctx.fillStyle = '#000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // 绘制网格
-        this.drawGrid();
-
-        // 绘制棋盘
-        this.drawMatrix(this.board, { x: 0, y: 0 });
-
-        // 如果是本地游戏且方块存在，绘制当前活动的方块
-        if (!this.isRemote && this.piece) {
-            this.drawMatrix(this.piece, this.pos);
-        }
-    }
-
-    /**
-     * 绘制矩阵通用方法
-     */
-    drawMatrix(matrix, offset) {
-        matrix.forEach((row, y) => {
-            row.forEach((value, x) => {
-                if (value !== 0) {
-                    this.ctx.fillStyle = CONSTANTS.COLORS[value];
-                    // 绘制方块，留出1px间隙以显示网格感
-                    this.ctx.fillRect((x + offset.x) * this.blockSize,
-                        (y + offset.y) * this.blockSize,
-                        this.blockSize - 1,
-                        this.blockSize - 1);
-                }
-            });
-        });
-    }
-
     /**
      * 远程更新接口
      * 直接接收并在本地渲染对手的棋盘数据
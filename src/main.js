@@ -1,9 +1,13 @@
 
 import io from 'socket.io-client';
-import { TetrisGame, CONSTANTS } from './game/tetris.js';
-import { cleanupGame, createGame, createScoreCallback } from './utils/gameManager.js';
-import { renderNextPieces, getNextPieceCanvases, renderLeaderboard as renderLeaderboardUtil } from './utils/renderUtils.js';
-import { createKeyboardHandler, createInputChecker } from './utils/keyboardHandler.js';
+import { TetrisGame, CONSTANTS, createRuleset } from './game/tetris.js';
+import { cleanupGame, createGame } from './utils/gameManager.js';
+import { renderNextPieces, getNextPieceCanvases, getHoldPieceCanvas, renderComboInfo, renderLevelInfo, renderGarbageMeter, renderLeaderboard as renderLeaderboardUtil } from './utils/renderUtils.js';
+import { InputController, createInputChecker } from './utils/inputController.js';
+import { syncSettingsFromServer } from './utils/settings.js';
+import { createSettingsPanel } from './utils/settingsPanel.js';
+import { isCompactLayout, getFitScale, fitBoardLayout, fitCanvas, watchViewport } from './utils/responsiveLayout.js';
+import { SINGLE_MODES, DIG_DIFFICULTIES, getSingleMode } from './utils/singleModes.js';
 
 // 初始化 Socket 连接，设置为不自动连接，等待登录成功手动连接
 const socket = io('/', {
@@ -36,6 +40,7 @@ const buttons = {
     login: document.getElementById('login-btn'),
     register: document.getElementById('register-btn'),
     createRoom: document.getElementById('create-room-btn'),
+    settings: document.getElementById('settings-btn'),
     leaveRoom: document.getElementById('leave-room-btn'),
     restartGame: document.getElementById('restart-game-btn')
 };
@@ -51,11 +56,19 @@ const display = {
 const modal = {
     container: document.getElementById('room-type-modal'),
     modeSingleBtn: document.getElementById('mode-single-btn'), // 单人模式按钮
+    modeSprintBtn: document.getElementById('mode-sprint-btn'), // 40 行冲刺按钮
+    modeUltraBtn: document.getElementById('mode-ultra-btn'),   // 2 分钟限时按钮
+    modeDigBtn: document.getElementById('mode-dig-btn'),       // 挖掘模式按钮
+    digDifficultySelect: document.getElementById('dig-difficulty'), // 挖掘难度
     mode2pBtn: document.getElementById('mode-2p-btn'),
     modeMultiBtn: document.getElementById('mode-multi-btn'),
     multiPlayerSelect: document.getElementById('multi-player-select'),
     maxPlayersSelect: document.getElementById('max-players'),
     confirmMultiBtn: document.getElementById('confirm-multi-btn'),
+    rulesetSelect: document.getElementById('ruleset-preset'),
+    gravityCurveSelect: document.getElementById('gravity-curve'),
+    randomizerSelect: document.getElementById('randomizer'),
+    garbageMessinessSelect: document.getElementById('garbage-messiness'),
     closeBtn: document.getElementById('modal-close-btn')
 };
 
@@ -77,6 +90,33 @@ function switchView(viewName) {
     if (viewName === 'lobby') {
         loadLobbyLeaderboard();
     }
+
+    // 触屏手势和屏幕按键只在游戏界面启用
+    if (viewName === 'game') {
+        inputController.attachTouch(document.getElementById('local-board'));
+        layoutBoards();
+    } else {
+        inputController.detachTouch();
+    }
+}
+
+/**
+ * 按视口缩放双方棋盘（窄屏时对手棋盘缩小一半），并为屏幕按键留出空间
+ * 留给页面其他部分的宽高为估计值 (像素)：内边距、标题、分数和聊天室
+ */
+function layoutBoards() {
+    const localCanvas = document.getElementById('local-board');
+    const remoteCanvas = document.getElementById('remote-board');
+    const compact = isCompactLayout();
+    const remoteRatio = compact ? 0.5 : 1;
+    const touchHeight = inputController.getTouchButtonsHeight();
+
+    // 内容宽度：本地棋盘 + 预览 + 对手棋盘
+    const scale = compact
+        ? getFitScale(localCanvas.width * (1 + remoteRatio) + 80, localCanvas.height, 120, 200 + touchHeight)
+        : getFitScale(localCanvas.width * (1 + remoteRatio) + 80, localCanvas.height, 610, 260 + touchHeight);
+    fitBoardLayout(localCanvas, scale);
+    fitCanvas(remoteCanvas, scale * remoteRatio);
 }
 
 /**
@@ -109,6 +149,9 @@ async function handleAuth(endpoint) {
                 // 保存用户信息到 localStorage（用于多人模式页面）
                 localStorage.setItem('tetris_user', JSON.stringify(data.user));
 
+                // 读取账号保存的设置（键位、手感），其他页面从 localStorage 读取
+                syncSettingsFromServer(data.user).then(settings => inputController.applySettings(settings));
+
                 // 配置 Socket 认证信息并连接
                 socket.auth = { userId: data.user.id, username: data.user.username };
                 socket.connect();
@@ -151,16 +194,61 @@ modal.container.addEventListener('click', (e) => {
     }
 });
 
+// 打开个人设置
+buttons.settings.addEventListener('click', () => settingsPanel.open());
+
 // 选择单人模式 - 跳转到单人游戏页面
 modal.modeSingleBtn.addEventListener('click', () => {
     modal.container.classList.add('hidden');
     window.location.href = '/singleGame.html';
 });
 
+// 选择 40 行冲刺 - 跳转到单人游戏页面的冲刺模式
+modal.modeSprintBtn.addEventListener('click', () => {
+    modal.container.classList.add('hidden');
+    window.location.href = '/singleGame.html?mode=sprint';
+});
+
+// 选择 2 分钟限时 - 跳转到单人游戏页面的限时模式
+modal.modeUltraBtn.addEventListener('click', () => {
+    modal.container.classList.add('hidden');
+    window.location.href = '/singleGame.html?mode=ultra';
+});
+
+// 选择挖掘模式 - 按选择的难度跳转到单人游戏页面
+Object.entries(DIG_DIFFICULTIES).forEach(([difficulty, { title }]) => {
+    modal.digDifficultySelect.add(new Option(title, difficulty));
+});
+modal.digDifficultySelect.value = 'normal';
+modal.modeDigBtn.addEventListener('click', () => {
+    modal.container.classList.add('hidden');
+    window.location.href = `/singleGame.html?mode=dig-${modal.digDifficultySelect.value}`;
+});
+
+/**
+ * 读取模态框中对规则预设的覆盖选项（空值表示沿用预设）
+ * @returns {Object} 覆盖字段 { gravityCurve?, randomizer?, garbageMessiness? }
+ */
+function getRuleOverrides() {
+    const overrides = {};
+    if (modal.gravityCurveSelect.value) overrides.gravityCurve = modal.gravityCurveSelect.value;
+    if (modal.randomizerSelect.value) overrides.randomizer = modal.randomizerSelect.value;
+    if (modal.garbageMessinessSelect.value) overrides.garbageMessiness = Number(modal.garbageMessinessSelect.value);
+    return overrides;
+}
+
+/**
+ * 根据模态框中的选项生成房间规则集
+ * @returns {Object} 规则集
+ */
+function getSelectedRuleset() {
+    return createRuleset(modal.rulesetSelect.value, getRuleOverrides());
+}
+
 // 选择 2人对战模式
 modal.mode2pBtn.addEventListener('click', () => {
     modal.container.classList.add('hidden');
-    socket.emit('create_room');
+    socket.emit('create_room', { ruleset: getSelectedRuleset() });
 });
 
 // 选择多人模式 - 显示人数选择
@@ -171,9 +259,15 @@ modal.modeMultiBtn.addEventListener('click', () => {
 // 确认创建多人房间
 modal.confirmMultiBtn.addEventListener('click', () => {
     const maxPlayers = modal.maxPlayersSelect.value;
+    const params = new URLSearchParams({
+        action: 'create',
+        max: maxPlayers,
+        ruleset: modal.rulesetSelect.value,
+        ...getRuleOverrides()
+    });
     modal.container.classList.add('hidden');
-    // 跳转到多人游戏页面
-    window.location.href = `/multiGame.html?action=create&max=${maxPlayers}`;
+    // 跳转到多人游戏页面（规则由多人页面创建房间时提交）
+    window.location.href = `/multiGame.html?${params}`;
 });
 
 buttons.leaveRoom.addEventListener('click', () => {
@@ -318,10 +412,18 @@ socket.on('game_ready', (data) => {
     // 创建本地游戏（使用公共模块）
     const nextPieceCanvases = getNextPieceCanvases();
     appState.localGame = createGame(localCanvas, seed, {
-        onScore: createScoreCallback(
-            (score) => document.getElementById('local-score').textContent = score,
-            (action) => socket.emit('game_action', action),
-            200
+        onScore: (score) => document.getElementById('local-score').textContent = score,
+        onScoreSync: (score) => socket.emit('game_action', { type: 'score', value: score }),
+        onAttack: (lines, event) => socket.emit('game_action', { type: 'garbage', value: lines, seed: event.garbageSeed }),
+        onCombo: (state) => renderComboInfo(
+            document.getElementById('local-combo'),
+            document.getElementById('local-b2b'),
+            state
+        ),
+        onLevel: (state) => renderLevelInfo(
+            document.getElementById('local-level'),
+            document.getElementById('local-lines'),
+            state
         ),
         onBoardUpdate: (board) => socket.emit('game_action', { type: 'board', value: board }),
         onGameOver: () => {
@@ -330,11 +432,17 @@ socket.on('game_ready', (data) => {
             showGameOver(false);
         },
         enableNextPiecesPreview: true,
-        playBGM: true
+        enableHoldPreview: true,
+        inputController,
+        playBGM: true,
+        ruleset: data && data.ruleset
     });
 
-    // 创建远程游戏（用于渲染对手棋盘）
-    appState.remoteGame = new TetrisGame(remoteCanvas, true, seed);
+    // 创建远程游戏（用于渲染对手棋盘，使用相同的规则以匹配棋盘尺寸）
+    appState.remoteGame = new TetrisGame(remoteCanvas, true, seed, undefined, data && data.ruleset);
+
+    // 棋盘尺寸随规则和缓冲行设置变化，重新缩放
+    layoutBoards();
 
     // 启动本地游戏循环
     appState.localGame.start();
@@ -361,8 +469,8 @@ socket.on('game_action', (data) => {
         appState.localGame.soundManager.stopBGM(); // 停止音乐
         showGameOver(true); // 显示胜利状态 (侧边栏)
     } else if (data.type === 'garbage') {
-        // 收到垃圾行攻击
-        appState.localGame.addGarbage(data.value);
+        // 收到垃圾行攻击（进入待处理队列，锁定方块时插入）
+        appState.localGame.receiveGarbage(data.value, data.seed);
     }
 });
 
@@ -386,14 +494,26 @@ function resetGameView() {
     if (localCanvas) clear(localCanvas);
     if (remoteCanvas) clear(remoteCanvas);
 
-    // 清空5个预览画布
+    // 清空5个预览画布和暂存画布
     for (let i = 0; i < 5; i++) {
         clear(document.getElementById(`next-piece-${i}`));
     }
+    clear(getHoldPieceCanvas());
 
     // 重置分数显示
     document.getElementById('local-score').textContent = '0';
     document.getElementById('remote-score').textContent = '0';
+    renderGarbageMeter(document.getElementById('garbage-meter'), 0);
+    renderComboInfo(
+        document.getElementById('local-combo'),
+        document.getElementById('local-b2b'),
+        { combo: -1, backToBack: -1 }
+    );
+    renderLevelInfo(
+        document.getElementById('local-level'),
+        document.getElementById('local-lines'),
+        { level: 1, lines: 0 }
+    );
 
     // 终止旧的游戏循环
     if (appState.localGame) {
@@ -485,56 +605,69 @@ function showGameOver(isWin) {
     buttons.restartGame.disabled = false;
 }
 
-// 键盘输入监听
-document.addEventListener('keydown', (event) => {
-    // 仅在游戏视图且游戏未结束时响应
-    // 且不在输入框中时响应 (防止聊天时触发游戏逻辑)
-    if (appState.currentView !== 'game' ||
-        (appState.localGame && appState.localGame.gameOver) ||
-        document.activeElement === chatInput) return;
-
-    switch (event.code) {
-        case 'KeyA': // A - Left
-        case 'ArrowLeft':
-            if (appState.localGame) appState.localGame.move(-1);
-            break;
-        case 'KeyD': // D - Right
-        case 'ArrowRight':
-            if (appState.localGame) appState.localGame.move(1);
-            break;
-        case 'KeyS': // S - Down (Soft Drop)
-        case 'ArrowDown':
-            if (appState.localGame) appState.localGame.drop();
-            break;
-        case 'KeyW': // W - Rotate
-        case 'ArrowUp':
-            if (appState.localGame) appState.localGame.rotate(1);
-            break;
-        case 'Space':
-            if (appState.localGame) appState.localGame.hardDrop(); // 硬下落 (瞬间到底)
-            break;
-    }
+// 键盘输入监听（使用公共模块，DAS/ARR 由输入控制器处理）
+// 仅在游戏视图且不在输入框中时响应 (防止聊天时触发游戏逻辑)
+const isTypingInChat = createInputChecker('chat-input');
+const inputController = new InputController(() => appState.localGame, {
+    shouldIgnore: (event) => appState.currentView !== 'game' || isTypingInChat(event)
+});
+inputController.attach(document);
+
+// 个人设置界面（手感、键位、手柄映射和屏幕按键），保存后立即应用到输入控制器
+const settingsPanel = createSettingsPanel({
+    container: document.getElementById('settings-modal'),
+    das: document.getElementById('setting-das'),
+    arr: document.getElementById('setting-arr'),
+    softDropFactor: document.getElementById('setting-sdf'),
+    bufferPeek: document.getElementById('setting-buffer-peek'),
+    keyBindings: document.getElementById('key-bindings'),
+    gamepadBindings: document.getElementById('gamepad-bindings'),
+    touchButtons: document.getElementById('setting-touch-buttons'),
+    syncToServer: document.getElementById('setting-sync'),
+    saveBtn: document.getElementById('settings-save-btn'),
+    resetKeysBtn: document.getElementById('settings-reset-keys-btn'),
+    closeBtn: document.getElementById('settings-close-btn')
+}, {
+    getUser: () => appState.user,
+    onSave: (settings) => inputController.applySettings(settings),
+    gamepad: inputController.gamepad
 });
 
+// 视口大小或方向变化时重新缩放棋盘（屏幕按键只在游戏界面显示）
+watchViewport(layoutBoards);
+
 socket.on('room_error', (msg) => {
     alert(msg);
 });
 
 // ========== 大厅排行榜 ==========
 
+// 大厅排行榜的选择（按单人模式及其排行榜列表生成选项，值为 "模式名:排行榜序号"）
+const lobbyLeaderboardMode = document.getElementById('lobby-leaderboard-mode');
+Object.values(SINGLE_MODES).forEach(mode => {
+    mode.leaderboards.forEach((board, index) => {
+        const title = mode.leaderboards.length > 1 ? `${mode.title} · ${board.title}` : mode.title;
+        lobbyLeaderboardMode.add(new Option(title, `${mode.name}:${index}`));
+    });
+});
+lobbyLeaderboardMode.addEventListener('change', () => loadLobbyLeaderboard());
+
 /**
- * 加载大厅排行榜
+ * 加载大厅排行榜（当前选择的单人模式排行榜）
  */
 async function loadLobbyLeaderboard() {
     const leaderboardEl = document.getElementById('lobby-leaderboard');
     if (!leaderboardEl) return;
 
+    const [modeName, index] = lobbyLeaderboardMode.value.split(':');
+    const mode = getSingleMode(modeName);
+    const board = mode.leaderboards[index] || mode.leaderboards[0];
     try {
-        const response = await fetch('/api/leaderboard');
+        const response = await fetch(board.url);
         const data = await response.json();
 
         if (data.success && data.leaderboard) {
-            renderLobbyLeaderboard(data.leaderboard);
+            renderLobbyLeaderboard(data.leaderboard, board);
         } else {
             leaderboardEl.innerHTML = '<li class="error">加载失败</li>';
         }
@@ -546,9 +679,11 @@ async function loadLobbyLeaderboard() {
 
 /**
  * 渲染大厅排行榜（使用公共模块）
+ * @param {Array} leaderboard - 排行榜数据
+ * @param {Object} board - 排行榜定义（决定成绩的显示格式）
  */
-function renderLobbyLeaderboard(leaderboard) {
+function renderLobbyLeaderboard(leaderboard, board) {
     const leaderboardEl = document.getElementById('lobby-leaderboard');
     const currentUsername = appState.user ? appState.user.username : null;
-    renderLeaderboardUtil(leaderboardEl, leaderboard, currentUsername, 10);
+    renderLeaderboardUtil(leaderboardEl, leaderboard, currentUsername, 10, board.formatEntry);
 }
@@ -5,9 +5,18 @@
  */
 
 import io from 'socket.io-client';
-import { TetrisGame, CONSTANTS } from './game/tetris.js';
-import { cleanupGame, createGame, createScoreCallback } from './utils/gameManager.js';
-import { createKeyboardHandler, createInputChecker } from './utils/keyboardHandler.js';
+import { TetrisGame, CONSTANTS, createRuleset } from './game/tetris.js';
+import { cleanupGame, createGame } from './utils/gameManager.js';
+import { InputController } from './utils/inputController.js';
+import { syncSettingsFromServer } from './utils/settings.js';
+import { renderComboInfo, renderLevelInfo } from './utils/renderUtils.js';
+import { isCompactLayout, getFitScale, fitBoardLayout, fitCanvas, getOpponentScale, watchViewport } from './utils/responsiveLayout.js';
+
+// 按视口缩放本地棋盘时留给标题、分数和内边距的空间 (像素)，屏幕按键的高度另算
+const LAYOUT_RESERVED = {
+    compact: { width: 110, height: 160 }, // 窄屏：对手和聊天室在棋盘下方（页面滚动）
+    wide: { width: 100, height: 230 }     // 宽屏：游戏区高度跟随视口
+};
 
 // 初始化 Socket 连接
 const socket = io('/', {
@@ -23,6 +32,7 @@ const appState = {
     isHost: false,            // 是否为房主
     currentView: 'waiting',   // 当前视图: 'waiting' | 'game'
     localGame: null,          // 本地游戏实例
+    input: null,              // 输入控制器
     opponents: new Map(),     // 对手信息 Map<socketId, {game, element, ...}>
     isSpectating: false,      // 是否处于观战状态
     myRank: null              // 自己的排名
@@ -41,6 +51,10 @@ const display = {
     opponentsGrid: document.getElementById('opponents-grid'),
     aliveCount: document.getElementById('alive-count'),
     localScore: document.getElementById('local-score'),
+    localCombo: document.getElementById('local-combo'),
+    localB2b: document.getElementById('local-b2b'),
+    localLevel: document.getElementById('local-level'),
+    localLines: document.getElementById('local-lines'),
     localRank: document.getElementById('local-rank'),
     gameStatus: document.getElementById('game-status')
 };
@@ -66,6 +80,33 @@ function switchView(viewName) {
     Object.values(views).forEach(el => el.classList.add('hidden'));
     views[viewName].classList.remove('hidden');
     appState.currentView = viewName;
+
+    // 触屏手势和屏幕按键只在游戏界面启用
+    if (viewName === 'game') {
+        appState.input.attachTouch(document.getElementById('local-board'));
+        layoutBoards();
+    } else {
+        appState.input.detachTouch();
+    }
+}
+
+// ========== 响应式布局 ==========
+/**
+ * 按视口缩放本地棋盘（含预览）和所有对手小棋盘，并为屏幕按键留出空间
+ */
+function layoutBoards() {
+    const localCanvas = document.getElementById('local-board');
+    const reserved = LAYOUT_RESERVED[isCompactLayout() ? 'compact' : 'wide'];
+    const scale = getFitScale(
+        localCanvas.width + 80, // 棋盘 + 预览
+        localCanvas.height,
+        reserved.width,
+        reserved.height + appState.input.getTouchButtonsHeight()
+    );
+    fitBoardLayout(localCanvas, scale);
+
+    const opponentScale = getOpponentScale();
+    appState.opponents.forEach(opponent => fitCanvas(opponent.game.renderer.canvas, opponentScale));
 }
 
 // ========== 初始化 ==========
@@ -75,6 +116,12 @@ function init() {
     const roomId = params.get('room');
     const action = params.get('action'); // 'create' 或 'join'
     const maxPlayers = parseInt(params.get('max')) || 3;
+    // 房间规则（创建房间时在大厅选择：规则预设 + 可选的重力曲线、方块序列和垃圾行洞口换列概率）
+    const overrides = {};
+    if (params.get('gravityCurve')) overrides.gravityCurve = params.get('gravityCurve');
+    if (params.get('randomizer')) overrides.randomizer = params.get('randomizer');
+    if (params.get('garbageMessiness')) overrides.garbageMessiness = Number(params.get('garbageMessiness'));
+    const ruleset = createRuleset(params.get('ruleset') || undefined, overrides);
 
     // 从 localStorage 获取用户信息
     const userStr = localStorage.getItem('tetris_user');
@@ -98,7 +145,7 @@ function init() {
     socket.on('connect', () => {
         console.log('Connected to server');
         if (action === 'create') {
-            socket.emit('create_multi_room', maxPlayers);
+            socket.emit('create_multi_room', maxPlayers, { ruleset });
         } else if (action === 'join' && roomId) {
             socket.emit('join_multi_room', roomId);
         }
@@ -107,6 +154,15 @@ function init() {
     setupEventListeners();
     setupSocketHandlers();
 
+    // 读取账号保存的设置（键位、手感）
+    syncSettingsFromServer(appState.user).then(settings => {
+        appState.input.applySettings(settings);
+        if (appState.currentView === 'game') layoutBoards();
+    });
+
+    // 视口大小或方向变化时重新缩放棋盘
+    watchViewport(layoutBoards);
+
     // 初始状态：禁用重新开始按钮（后续根据房主状态更新）
     buttons.restartGame.disabled = true;
 }
@@ -147,8 +203,14 @@ function setupEventListeners() {
         if (e.key === 'Enter') sendChat('game');
     });
 
-    // 键盘控制
-    document.addEventListener('keydown', handleKeydown);
+    // 键盘、手柄和触屏控制（使用公共模块，DAS/ARR 由输入控制器处理）
+    // 仅在游戏视图、非观战且不在聊天输入框中时响应
+    appState.input = new InputController(() => appState.localGame, {
+        shouldIgnore: () => appState.currentView !== 'game' ||
+            appState.isSpectating ||
+            document.activeElement === chatElements.gameInput
+    });
+    appState.input.attach(document);
 }
 
 // ========== 聊天功能 ==========
@@ -236,7 +298,8 @@ function setupSocketHandlers() {
     // 收到垃圾行攻击
     socket.on('multi_receive_garbage', (data) => {
         if (appState.localGame && !appState.localGame.gameOver) {
-            appState.localGame.addGarbage(data.lines);
+            // 进入待处理队列，锁定方块时插入
+            appState.localGame.receiveGarbage(data.lines, data.seed);
         }
     });
 
@@ -347,7 +410,7 @@ function startGame(data) {
     // 创建对手视图
     data.players.forEach(player => {
         if (player.socketId !== socket.id) {
-            createOpponentCard(player);
+            createOpponentCard(player, data.ruleset);
         }
     });
 
@@ -358,24 +421,30 @@ function startGame(data) {
     cleanupGame(appState.localGame);
 
     appState.localGame = createGame(localCanvas, data.seed, {
-        onScore: createScoreCallback(
-            (score) => display.localScore.textContent = score,
-            (action) => socket.emit('multi_game_action', action),
-            200
-        ),
+        onScore: (score) => display.localScore.textContent = score,
+        onScoreSync: (score) => socket.emit('multi_game_action', { type: 'score', value: score }),
+        onAttack: (lines, event) => socket.emit('multi_game_action', { type: 'garbage', value: lines, seed: event.garbageSeed }),
+        onCombo: (state) => renderComboInfo(display.localCombo, display.localB2b, state),
+        onLevel: (state) => renderLevelInfo(display.localLevel, display.localLines, state),
         onBoardUpdate: (board) => socket.emit('multi_game_action', { type: 'board', value: board }),
         onGameOver: () => {
             socket.emit('multi_game_action', { type: 'game_over' });
             appState.localGame.soundManager.stopBGM();
         },
         enableNextPiecesPreview: true,
-        playBGM: true
+        enableHoldPreview: true,
+        inputController: appState.input,
+        playBGM: true,
+        ruleset: data.ruleset
     });
 
+    // 棋盘尺寸随规则和缓冲行设置变化，重新缩放
+    layoutBoards();
+
     appState.localGame.start();
 }
 
-function createOpponentCard(player) {
+function createOpponentCard(player, ruleset) {
     const card = document.createElement('div');
     card.className = 'opponent-card';
     card.id = `opponent-${player.socketId}`;
@@ -396,7 +465,8 @@ function createOpponentCard(player) {
 
     // 创建缩小版游戏实例（仅用于渲染）
     const canvas = card.querySelector('canvas');
-    const miniGame = new TetrisGame(canvas, true, 1, 9); // 9px方块大小
+    const miniGame = new TetrisGame(canvas, true, 1, 9, ruleset); // 9px方块大小
+    fitCanvas(canvas, getOpponentScale());
 
     appState.opponents.set(player.socketId, {
         element: card,
@@ -432,8 +502,8 @@ function handlePlayerEliminated(data) {
         display.gameStatus.className = 'status-bar spectating';
         display.gameStatus.classList.remove('hidden');
 
-        // 在棋盘上绘制名次（只绘制数字，不绘制#）
-        drawRankOnBoard(data.rank, false);
+        // 顶出动画播放完、帧循环停止后，在棋盘上绘制名次（只绘制数字，不绘制#）
+        drawRankAfterStop(data.rank, false);
     } else {
         // 更新对手卡片
         const opponent = appState.opponents.get(data.socketId);
@@ -482,15 +552,15 @@ function handleGameFinished(data) {
         display.localRank.classList.add('winner');
         display.gameStatus.textContent = '🎉 恭喜你获得冠军！';
         display.gameStatus.className = 'status-bar win';
-        // 延迟一帧后绘制金色的1，确保游戏循环已停止
-        setTimeout(() => drawRankOnBoard(1, true), 50);
+        // 游戏循环停止后绘制金色的1
+        drawRankAfterStop(1, true);
     } else if (!appState.myRank) {
         // 如果还没被淘汰但游戏结束了（说明是第2名）
         appState.myRank = 2;
         display.localRank.textContent = '#2';
         display.gameStatus.textContent = '游戏结束 - 第2名';
         display.gameStatus.className = 'status-bar lose';
-        setTimeout(() => drawRankOnBoard(2, false), 50);
+        drawRankAfterStop(2, false);
     }
     display.gameStatus.classList.remove('hidden');
 
@@ -616,6 +686,19 @@ const DIGIT_PATTERNS = {
     ]
 };
 
+/**
+ * 等本地游戏的帧循环停止（顶出动画和最后一帧重绘完成）后再绘制名次，避免被重绘覆盖
+ * @param {number} rank - 名次
+ * @param {boolean} isWinner - 是否为冠军
+ */
+function drawRankAfterStop(rank, isWinner = false) {
+    if (appState.localGame) {
+        appState.localGame.whenStopped(() => drawRankOnBoard(rank, isWinner));
+    } else {
+        drawRankOnBoard(rank, isWinner);
+    }
+}
+
 /**
  * 在棋盘上绘制名次数字
  * @param {number} rank - 名次
@@ -671,42 +754,5 @@ function drawRankOnBoard(rank, isWinner = false) {
     }
 }
 
-// ========== 键盘控制 ==========
-function handleKeydown(event) {
-    if (appState.currentView !== 'game' ||
-        appState.isSpectating ||
-        !appState.localGame ||
-        appState.localGame.gameOver) {
-        return;
-    }
-
-    // 检查是否在输入框中
-    if (document.activeElement === chatElements.gameInput) {
-        return;
-    }
-
-    switch (event.code) {
-        case 'KeyA':
-        case 'ArrowLeft':
-            appState.localGame.move(-1);
-            break;
-        case 'KeyD':
-        case 'ArrowRight':
-            appState.localGame.move(1);
-            break;
-        case 'KeyS':
-        case 'ArrowDown':
-            appState.localGame.drop();
-            break;
-        case 'KeyW':
-        case 'ArrowUp':
-            appState.localGame.rotate(1);
-            break;
-        case 'Space':
-            appState.localGame.hardDrop();
-            break;
-    }
-}
-
 // ========== 启动 ==========
 init();
@@ -2,19 +2,35 @@
  * mainSingle.js - 单人模式客户端入口
  * 
  * 负责处理单人游戏界面、本地游戏逻辑、分数显示等
+ * 通过 URL 参数 ?mode= 选择模式（无尽、40 行冲刺、2 分钟限时、挖掘等，见 singleModes.js）
  * 无需 Socket 通信，纯本地运行
  */
 
-import { TetrisGame, CONSTANTS } from './game/tetris.js';
+import { TetrisGame, createRuleset, CONSTANTS } from './game/tetris.js';
 import { cleanupGame, createGame } from './utils/gameManager.js';
-import { renderLeaderboard as renderLeaderboardUtil } from './utils/renderUtils.js';
-import { createKeyboardHandler } from './utils/keyboardHandler.js';
+import { renderLeaderboard as renderLeaderboardUtil, renderComboInfo, renderLevelInfo, formatTime } from './utils/renderUtils.js';
+import { getSingleMode } from './utils/singleModes.js';
+import { InputController } from './utils/inputController.js';
+import { loadSettings, syncSettingsFromServer } from './utils/settings.js';
+import { renderControlsInfo } from './utils/settingsPanel.js';
+import { isCompactLayout, getFitScale, fitBoardLayout, watchViewport } from './utils/responsiveLayout.js';
+
+// 按视口缩放棋盘时留给页头、预览和统计的空间 (像素)，屏幕按键的高度另算
+const LAYOUT_RESERVED = {
+    compact: { width: 70, height: 280 }, // 窄屏：预览和统计在棋盘下方
+    wide: { width: 500, height: 140 }    // 宽屏：预览、统计和操作指南在棋盘右侧
+};
+
+// 限时模式倒计时高亮的剩余时间 (毫秒)
+const WARNING_MS = 10000;
 
 // ========== 全局状态 ==========
 const appState = {
+    mode: null,           // 当前单人模式 (singleModes.js)
     game: null,           // 游戏实例
-    gameStartTime: null,  // 游戏开始时间
-    timerInterval: null,  // 计时器间隔
+    input: null,          // 输入控制器
+    timerFrame: null,     // 计时器的 requestAnimationFrame ID
+    stats: null,          // 本局统计（四消、T-Spin、最大连击），游戏结束时显示
     user: null            // 当前登录用户
 };
 
@@ -30,21 +46,47 @@ const elements = {
         document.getElementById('next-piece-4')
     ],
     scoreDisplay: document.getElementById('score-display'),
-    speedDisplay: document.getElementById('speed-display'),
+    comboDisplay: document.getElementById('combo-display'),
+    b2bDisplay: document.getElementById('b2b-display'),
+    levelDisplay: document.getElementById('level-display'),
+    linesLabel: document.getElementById('lines-label'),
+    linesDisplay: document.getElementById('lines-display'),
+    garbageMeter: document.getElementById('garbage-meter'),
+    timeLabel: document.getElementById('time-label'),
     timeDisplay: document.getElementById('time-display'),
     gameOverOverlay: document.getElementById('game-over-overlay'),
+    modeTitle: document.getElementById('mode-title'),
+    gameOverTitle: document.getElementById('game-over-title'),
+    finalScoreLabel: document.getElementById('final-score-label'),
     finalScoreValue: document.getElementById('final-score-value'),
     newHighScore: document.getElementById('new-high-score'),
+    resultStats: document.getElementById('result-stats'),
+    leaderboardSelect: document.getElementById('leaderboard-select'),
     leaderboardList: document.getElementById('leaderboard-list'),
     backBtn: document.getElementById('back-btn'),
+    pauseBtn: document.getElementById('pause-btn'),
+    pauseOverlay: document.getElementById('pause-overlay'),
+    resumeBtn: document.getElementById('resume-btn'),
+    pauseRestartBtn: document.getElementById('pause-restart-btn'),
     restartBtn: document.getElementById('restart-btn'),
-    backToLobbyBtn: document.getElementById('back-to-lobby-btn')
+    backToLobbyBtn: document.getElementById('back-to-lobby-btn'),
+    controlsList: document.getElementById('controls-list')
 };
 
 // ========== 初始化 ==========
 function init() {
     console.log('单人模式初始化...');
 
+    // 从 URL 参数获取模式（缺省为无尽模式）
+    appState.mode = getSingleMode(new URLSearchParams(window.location.search).get('mode'));
+    elements.modeTitle.textContent = `🎮 ${appState.mode.title}`;
+    document.title = `whgame ${appState.mode.title}`;
+
+    // 有多个排行榜的模式显示排行榜选择
+    const { leaderboards } = appState.mode;
+    leaderboards.forEach((board, index) => elements.leaderboardSelect.add(new Option(board.title, index)));
+    elements.leaderboardSelect.classList.toggle('hidden', leaderboards.length <= 1);
+
     // 从 localStorage 获取用户信息
     const userJson = localStorage.getItem('tetris_user');
     if (userJson) {
@@ -55,8 +97,34 @@ function init() {
     // 绑定事件
     setupEventListeners();
 
+    // 按键位设置显示操作指南，并读取账号保存的设置
+    renderControlsInfo(elements.controlsList, loadSettings().keyBindings);
+    syncSettingsFromServer(appState.user).then(settings => {
+        appState.input.applySettings(settings);
+        renderControlsInfo(elements.controlsList, settings.keyBindings);
+        layoutBoard();
+    });
+
     // 开始游戏
     startGame();
+
+    // 视口大小或方向变化时重新缩放棋盘
+    watchViewport(layoutBoard);
+}
+
+/**
+ * 按视口缩放棋盘和预览，并为屏幕按键留出空间
+ */
+function layoutBoard() {
+    const board = elements.gameBoard;
+    const reserved = LAYOUT_RESERVED[isCompactLayout() ? 'compact' : 'wide'];
+    const scale = getFitScale(
+        board.width,
+        board.height,
+        reserved.width,
+        reserved.height + appState.input.getTouchButtonsHeight()
+    );
+    fitBoardLayout(board, scale);
 }
 
 // ========== 事件监听器设置 ==========
@@ -82,9 +150,33 @@ function setupEventListeners() {
         window.location.href = '/';
     });
 
-    // 键盘控制（使用公共模块）
-    const keyHandler = createKeyboardHandler(() => appState.game);
-    document.addEventListener('keydown', keyHandler);
+    // 暂停/继续按钮
+    elements.pauseBtn.addEventListener('click', () => {
+        elements.pauseBtn.blur(); // 避免之后按空格硬降时再次触发按钮
+        togglePause();
+    });
+
+    // 切换排行榜
+    elements.leaderboardSelect.addEventListener('change', loadLeaderboard);
+
+    // 继续游戏按钮 (暂停覆盖层)
+    elements.resumeBtn.addEventListener('click', resumeGame);
+
+    // 重新开始按钮 (暂停覆盖层)，放弃当前这局，不提交分数
+    elements.pauseRestartBtn.addEventListener('click', startGame);
+
+    // 页面不可见或失去焦点时自动暂停
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', pauseGame);
+
+    // 键盘、手柄和触屏控制（使用公共模块，DAS/ARR 由输入控制器处理），Esc/P 切换暂停
+    appState.input = new InputController(() => appState.game, {
+        onPause: togglePause
+    });
+    appState.input.attach(document);
+    appState.input.attachTouch(elements.gameBoard);
 }
 
 // ========== 游戏控制 ==========
@@ -98,138 +190,255 @@ function startGame() {
     // 清理旧游戏（使用公共模块）
     cleanupGame(appState.game);
     stopTimer();
+    updatePauseView(false);
 
     // 生成随机种子
     const seed = Math.floor(Math.random() * 1000000);
 
+    // 按模式生成规则（如冲刺模式的目标行数、限时模式的时间限制）
+    const ruleset = createRuleset(undefined, appState.mode.rules);
+    appState.stats = { quads: 0, tSpins: 0, maxCombo: 0 };
+
+    // 限时模式：时间标签改为剩余时间；挖掘模式：行数改为已挖掉的开局垃圾行，并显示垃圾行计量条
+    elements.timeLabel.textContent = ruleset.timeLimit > 0 ? '剩余' : '时间';
+    elements.linesLabel.textContent = ruleset.digRows > 0 ? '挖掘' : '行数';
+    elements.garbageMeter.classList.toggle('hidden', ruleset.digInterval === 0);
+
     // 创建新游戏实例（使用公共模块）
     appState.game = createGame(elements.gameBoard, seed, {
         onScore: (score) => {
             elements.scoreDisplay.textContent = score;
         },
-        onBoardUpdate: () => {
-            updateSpeedDisplay();
+        onCombo: (state) => {
+            renderComboInfo(elements.comboDisplay, elements.b2bDisplay, state);
+        },
+        onClear: (event) => {
+            const stats = appState.stats;
+            if (event.lines === 4) stats.quads++;
+            if (event.spin !== 'none') stats.tSpins++;
+            stats.maxCombo = Math.max(stats.maxCombo, event.combo);
+        },
+        onLevel: (state) => {
+            renderLevelInfo(elements.levelDisplay, elements.linesDisplay, state);
+            // 有目标行数或开局垃圾行时显示进度
+            const { lineGoal, digRows } = ruleset;
+            if (lineGoal > 0) elements.linesDisplay.textContent = `${Math.min(state.lines, lineGoal)}/${lineGoal}`;
+            if (digRows > 0) elements.linesDisplay.textContent = `${digRows - appState.game.getDigRemaining()}/${digRows}`;
         },
         onGameOver: () => {
-            console.log('游戏结束，分数:', appState.game.score);
-            appState.game.soundManager.stopBGM();
+            const game = appState.game;
+            console.log('游戏结束，分数:', game.score, '完成:', game.completed);
+            game.soundManager.stopBGM();
             stopTimer();
-            showGameOver();
-            saveScore(appState.game.score);
+            updateTimeDisplay();
+            const result = appState.mode.getResult(game);
+            showGameOver(result);
+            saveResult(result);
         },
         enableNextPiecesPreview: true,
-        playBGM: true
+        enableHoldPreview: true,
+        inputController: appState.input,
+        playBGM: true,
+        ruleset
     });
 
+    // 棋盘尺寸随缓冲行设置变化，重新缩放
+    layoutBoard();
+
     // 重置显示
     elements.scoreDisplay.textContent = '0';
-    elements.speedDisplay.textContent = '500ms';
-    elements.timeDisplay.textContent = '00:00';
 
-    // 记录开始时间
-    appState.gameStartTime = Date.now();
-
-    // 启动计时器
+    // 启动游戏（reset 会通知行数进度），然后启动计时器
+    appState.game.start();
     startTimer();
+}
 
-    // 启动游戏
-    appState.game.start();
+/**
+ * 暂停游戏，并用覆盖层遮住棋盘和预览
+ */
+function pauseGame() {
+    if (!appState.game || !appState.game.pause()) return;
+    updatePauseView(true);
+}
+
+/**
+ * 继续游戏
+ */
+function resumeGame() {
+    if (!appState.game || !appState.game.resume()) return;
+    updatePauseView(false);
 }
 
 /**
- * 更新速度显示
+ * 切换暂停状态
  */
-function updateSpeedDisplay() {
-    if (appState.game) {
-        const speed = Math.round(appState.game.dropInterval);
-        elements.speedDisplay.textContent = speed + 'ms';
+function togglePause() {
+    if (appState.game && appState.game.paused) {
+        resumeGame();
+    } else {
+        pauseGame();
     }
 }
 
 /**
- * 启动计时器
+ * 更新暂停覆盖层和暂停按钮
+ * @param {boolean} paused - 是否处于暂停状态
  */
-function startTimer() {
-    appState.timerInterval = setInterval(() => {
-        if (!appState.gameStartTime) return;
+function updatePauseView(paused) {
+    elements.pauseOverlay.classList.toggle('hidden', !paused);
+    elements.pauseBtn.textContent = paused ? '▶ 继续' : '⏸ 暂停';
+}
 
-        const elapsed = Date.now() - appState.gameStartTime;
-        const seconds = Math.floor(elapsed / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const secs = seconds % 60;
+/**
+ * 更新用时显示
+ * 用时为实际经过的时间（不含暂停）；按用时排名的模式显示到毫秒
+ * 有时间限制的模式改为倒计时（向上取整到秒），最后 10 秒高亮；时间限制按 tick 判定，倒计时也按 tick 计算
+ */
+function updateTimeDisplay() {
+    const game = appState.game;
+    if (!game) return;
+    const { timeLimit } = game.ruleset;
+
+    if (timeLimit > 0) {
+        const remainingMs = Math.max(0, timeLimit - game.tickCount) * 1000 / CONSTANTS.TICKS_PER_SECOND;
+        elements.timeDisplay.textContent = formatTime(Math.ceil(remainingMs / 1000) * 1000);
+        elements.timeDisplay.classList.toggle('warning', remainingMs <= WARNING_MS);
+        return;
+    }
 
-        elements.timeDisplay.textContent =
-            String(minutes).padStart(2, '0') + ':' + String(secs).padStart(2, '0');
+    elements.timeDisplay.textContent = formatTime(game.getElapsedMs(), appState.mode.ranking === 'time');
+    elements.timeDisplay.classList.remove('warning');
+}
 
-        // 同时更新速度显示
-        updateSpeedDisplay();
-    }, 100);
+/**
+ * 启动计时器（每帧刷新用时显示）
+ */
+function startTimer() {
+    const frame = () => {
+        updateTimeDisplay();
+        appState.timerFrame = requestAnimationFrame(frame);
+    };
+    frame();
 }
 
 /**
  * 停止计时器
  */
 function stopTimer() {
-    if (appState.timerInterval) {
-        clearInterval(appState.timerInterval);
-        appState.timerInterval = null;
+    if (appState.timerFrame !== null) {
+        cancelAnimationFrame(appState.timerFrame);
+        appState.timerFrame = null;
     }
 }
 
 /**
  * 显示游戏结束界面
+ * @param {Object|null} result - 本局成绩，未达成模式目标时为 null
  */
-function showGameOver() {
-    elements.finalScoreValue.textContent = appState.game.score;
+function showGameOver(result) {
+    const game = appState.game;
+    const byTime = appState.mode.ranking === 'time';
+    elements.gameOverTitle.textContent = game.completed ? '完成！' : '游戏结束';
+    elements.finalScoreLabel.textContent = byTime ? '用时' : '最终分数';
+    elements.finalScoreValue.textContent = result ? appState.mode.formatResult(result) : '未完成';
     elements.newHighScore.classList.add('hidden'); // 隐藏新纪录提示
+    renderResultStats();
     elements.gameOverOverlay.classList.remove('hidden');
     loadLeaderboard(); // 加载排行榜
 }
 
 /**
- * 保存分数到服务器
- * @param {number} score - 游戏分数
+ * 渲染本局统计：分数、行数、方块数、每秒方块数 (PPS)、四消、T-Spin 和最大连击
  */
-async function saveScore(score) {
-    // 如果用户未登录，不保存分数
+function renderResultStats() {
+    const game = appState.game;
+    const { quads, tSpins, maxCombo } = appState.stats;
+    const seconds = game.getElapsedMs() / 1000;
+    const pps = seconds > 0 ? game.pieceCount / seconds : 0;
+
+    const items = [
+        ['分数', game.score],
+        ['行数', game.lines],
+        ['方块', game.pieceCount],
+        ['PPS', pps.toFixed(2)],
+        ['四消', quads],
+        ['T-Spin', tSpins],
+        ['最大连击', Math.max(0, maxCombo)]
+    ];
+    elements.resultStats.innerHTML = items.map(([label, value]) => `
+        <div class="result-stat">
+            <span class="result-stat-label">${label}</span>
+            <span class="result-stat-value">${value}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * 保存成绩到服务器（接口由模式决定）
+ * 只在游戏自然结束时调用；暂停中被放弃的对局（重新开始、返回大厅）不提交成绩
+ * @param {Object|null} result - 本局成绩，未达成模式目标时为 null（不提交）
+ */
+async function saveResult(result) {
+    // 如果用户未登录，不保存成绩
     if (!appState.user) {
-        console.log('用户未登录，分数不保存');
+        console.log('用户未登录，成绩不保存');
+        return;
+    }
+
+    // 暂停中的对局尚未结束，不能提交成绩
+    if (!appState.game || !appState.game.gameOver || appState.game.paused) {
+        console.log('对局未结束，成绩不保存');
+        return;
+    }
+
+    // 未达成目标（如冲刺模式中途顶出）没有成绩
+    if (!result) {
+        console.log('未完成目标，成绩不保存');
         return;
     }
 
     try {
-        const response = await fetch('/api/score', {
+        const response = await fetch(appState.mode.submitUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 userId: appState.user.id,
-                score: score
+                ...result
             })
         });
 
         const data = await response.json();
         if (data.success) {
-            console.log('分数保存成功');
+            console.log('成绩保存成功');
             // 如果是新纪录，显示提示
-            if (data.newHighScore) {
+            if (data.newHighScore || data.newRecord) {
                 elements.newHighScore.classList.remove('hidden');
             }
             // 重新加载排行榜以显示最新数据
             loadLeaderboard();
         } else {
-            console.error('分数保存失败:', data.error);
+            console.error('成绩保存失败:', data.error);
         }
     } catch (error) {
-        console.error('网络错误，分数保存失败:', error);
+        console.error('网络错误，成绩保存失败:', error);
     }
 }
 
+/**
+ * 当前选择的排行榜
+ * @returns {Object} 排行榜定义 { title, url, formatEntry }
+ */
+function getSelectedLeaderboard() {
+    const { leaderboards } = appState.mode;
+    return leaderboards[elements.leaderboardSelect.value] || leaderboards[0];
+}
+
 /**
  * 加载排行榜
  */
 async function loadLeaderboard() {
     try {
-        const response = await fetch('/api/leaderboard');
+        const response = await fetch(getSelectedLeaderboard().url);
         const data = await response.json();
 
         if (data.success && data.leaderboard) {
@@ -249,7 +458,7 @@ async function loadLeaderboard() {
  */
 function renderLeaderboard(leaderboard) {
     const currentUsername = appState.user ? appState.user.username : null;
-    renderLeaderboardUtil(elements.leaderboardList, leaderboard, currentUsername);
+    renderLeaderboardUtil(elements.leaderboardList, leaderboard, currentUsername, 10, getSelectedLeaderboard().formatEntry);
 }
 
 // ========== 启动 ==========
@@ -5,7 +5,8 @@
  */
 
 import { TetrisGame } from '../game/tetris.js';
-import { renderNextPieces, getNextPieceCanvases } from './renderUtils.js';
+import { renderNextPieces, getNextPieceCanvases, renderHoldPiece, getHoldPieceCanvas, showClearLabel, renderGarbageMeter } from './renderUtils.js';
+import { loadSettings, saveSettings } from './settings.js';
 
 /**
  * 清理游戏实例
@@ -14,6 +15,9 @@ import { renderNextPieces, getNextPieceCanvases } from './renderUtils.js';
 export function cleanupGame(game) {
     if (game) {
         game.gameOver = true;
+        if (game.frameLoop) {
+            game.frameLoop.stop(); // 立即停止循环（包括仍在播放的顶出动画）
+        }
         if (game.soundManager) {
             game.soundManager.stopBGM();
         }
@@ -25,24 +29,63 @@ export function cleanupGame(game) {
  * @param {HTMLCanvasElement} canvas - 游戏画布
  * @param {number} seed - 随机种子
  * @param {Object} callbacks - 回调函数配置
- * @param {Function} callbacks.onScore - 分数变化回调
+ * @param {Function} callbacks.onScore - 分数变化回调（软降每下落一格都会触发，只用于本地界面）
+ * @param {Function} callbacks.onScoreSync - 分数同步回调（方块锁定后分数有变化时触发，用于发送给对手）
+ * @param {Function} callbacks.onCombo - 连击/背靠背变化回调 ({ combo, backToBack })
+ * @param {Function} callbacks.onLevel - 等级/消除行数变化回调 ({ level, lines })
  * @param {Function} callbacks.onBoardUpdate - 棋盘更新回调
  * @param {Function} callbacks.onGameOver - 游戏结束回调
- * @param {boolean} callbacks.enableNextPiecesPreview - 是否启用5方块预览
+ * @param {Function} callbacks.onClear - 消除事件回调 ({ type, lines, spin, combo, ... })
+ * @param {Function} callbacks.onAttack - 攻击回调 (lines, clearEvent)
+ * @param {boolean} callbacks.enableNextPiecesPreview - 是否启用方块预览（数量由规则集决定）
+ * @param {boolean} callbacks.enableHoldPreview - 是否启用暂存方块显示
+ * @param {boolean} callbacks.enableClearLabel - 是否在棋盘上显示消除类型文字
+ * @param {boolean} callbacks.enableGarbageMeter - 是否显示待处理垃圾行计量条
  * @param {boolean} callbacks.playBGM - 是否播放背景音乐
+ * @param {Object|string} callbacks.ruleset - 规则集或预设名称（房间设置，缺省为标准规则）
+ * @param {InputController} callbacks.inputController - 输入控制器（挂到游戏 tick 上处理 DAS/ARR/软降）
  * @returns {TetrisGame} 游戏实例
  */
 export function createGame(canvas, seed, callbacks = {}) {
-    const game = new TetrisGame(canvas, false, seed);
+    const game = new TetrisGame(canvas, false, seed, undefined, callbacks.ruleset);
+
+    // 应用玩家个人设置
+    const settings = loadSettings();
+    game.showGhost = settings.showGhost;
+    if (settings.bufferPeek > 0) {
+        game.renderer.setBufferPeek(settings.bufferPeek);
+    }
 
     // 绑定分数回调
     if (callbacks.onScore) {
         game.onScore = callbacks.onScore;
     }
 
-    // 绑定棋盘更新回调
-    if (callbacks.onBoardUpdate) {
-        game.onBoardUpdate = callbacks.onBoardUpdate;
+    // 绑定连击/背靠背回调
+    if (callbacks.onCombo) {
+        game.onCombo = callbacks.onCombo;
+    }
+
+    // 绑定等级回调
+    if (callbacks.onLevel) {
+        game.onLevel = callbacks.onLevel;
+    }
+
+    // 绑定棋盘更新回调；分数随棋盘一起在方块锁定时同步，避免软降每格都发送一条消息
+    if (callbacks.onBoardUpdate || callbacks.onScoreSync) {
+        let syncedScore = game.score;
+        game.onBoardUpdate = (board) => {
+            if (callbacks.onBoardUpdate) callbacks.onBoardUpdate(board);
+            if (callbacks.onScoreSync && game.score !== syncedScore) {
+                syncedScore = game.score;
+                callbacks.onScoreSync(game.score);
+            }
+        };
+    }
+
+    // 绑定攻击回调
+    if (callbacks.onAttack) {
+        game.onAttack = callbacks.onAttack;
     }
 
     // 绑定游戏结束回调
@@ -50,12 +93,43 @@ export function createGame(canvas, seed, callbacks = {}) {
         game.onGameOver = callbacks.onGameOver;
     }
 
-    // 绑定5方块预览渲染
+    // 绑定消除事件（显示 "T-SPIN DOUBLE" 等文字，并转发给调用方）
+    const clearLabel = callbacks.enableClearLabel !== false ? document.getElementById('clear-label') : null;
+    if (clearLabel || callbacks.onClear) {
+        game.onClear = (event) => {
+            showClearLabel(clearLabel, event);
+            if (callbacks.onClear) callbacks.onClear(event);
+        };
+    }
+
+    // 绑定方块预览渲染（隐藏超出规则预览数量的画布）
     if (callbacks.enableNextPiecesPreview !== false) {
         const canvases = getNextPieceCanvases();
+        canvases.forEach((cvs, index) => {
+            if (cvs) cvs.style.display = index < game.ruleset.previewCount ? '' : 'none';
+        });
         game.onNextPieces = (pieces) => renderNextPieces(canvases, pieces);
     }
 
+    // 绑定暂存方块渲染（规则关闭暂存时隐藏暂存框）
+    if (callbacks.enableHoldPreview !== false) {
+        const holdCanvas = getHoldPieceCanvas();
+        const holdBox = holdCanvas && holdCanvas.closest('.hold-piece-box');
+        if (holdBox) holdBox.style.display = game.ruleset.holdEnabled ? '' : 'none';
+        game.onHold = (piece, canHold) => renderHoldPiece(holdCanvas, piece, canHold);
+    }
+
+    // 绑定垃圾行计量条渲染（页面中没有计量条元素时跳过）
+    const garbageMeter = callbacks.enableGarbageMeter !== false ? document.getElementById('garbage-meter') : null;
+    if (garbageMeter) {
+        game.onGarbageChange = (lines) => renderGarbageMeter(garbageMeter, lines, game.ruleset.rows);
+    }
+
+    // 挂接输入控制器
+    if (callbacks.inputController) {
+        callbacks.inputController.bind(game);
+    }
+
     // 播放背景音乐
     if (callbacks.playBGM !== false) {
         game.soundManager.playBGM();
@@ -65,32 +139,10 @@ export function createGame(canvas, seed, callbacks = {}) {
 }
 
 /**
- * 创建带攻击逻辑的分数回调
- * @param {Function} updateScoreUI - 更新分数UI的函数
- * @param {Function} emitAction - 发送游戏动作的函数
- * @param {number} attackThreshold - 攻击阈值（默认200分）
- * @returns {Function} 分数回调函数
+ * 切换幽灵方块显示，并保存为玩家个人设置
+ * @param {TetrisGame} game - 本地游戏实例
  */
-export function createScoreCallback(updateScoreUI, emitAction, attackThreshold = 200) {
-    let lastSentScore = 0;
-
-    return (score) => {
-        // 更新UI
-        updateScoreUI(score);
-
-        // 发送分数到服务器
-        if (emitAction) {
-            emitAction({ type: 'score', value: score });
-        }
-
-        // 攻击逻辑
-        if (emitAction && attackThreshold > 0) {
-            const attacks = Math.floor(score / attackThreshold) - Math.floor(lastSentScore / attackThreshold);
-            if (attacks > 0) {
-                emitAction({ type: 'garbage', value: attacks });
-            }
-        }
-
-        lastSentScore = score;
-    };
+export function toggleGhostPiece(game) {
+    game.showGhost = !game.showGhost;
+    saveSettings({ showGhost: game.showGhost });
 }
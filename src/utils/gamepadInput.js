@@ -0,0 +1,183 @@
+/**
+ * gamepadInput.js - 手柄输入源
+ *
+ * 轮询 navigator.getGamepads()，把按钮和摇杆的按下/松开报告给输入控制器，
+ * 因此手柄与键盘共用同一套 DAS/ARR/软降倍率。由输入控制器创建，各页面行为一致。
+ * 轮询使用独立的 requestAnimationFrame，游戏暂停（帧循环停止）时暂停键仍然有效
+ */
+
+// 摇杆推过此值视为按下
+const AXIS_THRESHOLD = 0.5;
+
+// 标准布局 (mapping === 'standard') 的按钮名称
+const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start', 'L3', 'R3', '十字↑', '十字↓', '十字←', '十字→', 'Home'
+];
+
+// 摇杆轴名称：轴序号 => [负方向, 正方向]
+const AXIS_NAMES = [
+    ['左摇杆←', '左摇杆→'],
+    ['左摇杆↑', '左摇杆↓'],
+    ['右摇杆←', '右摇杆→'],
+    ['右摇杆↑', '右摇杆↓']
+];
+
+/**
+ * 手柄输入转换为显示名称，例如 button:0 => A、axis:0- => 左摇杆←
+ * @param {string} input - 手柄输入 (button:<n> / axis:<n><+/->)
+ * @returns {string}
+ */
+export function formatGamepadInput(input) {
+    const button = /^button:(\d+)$/.exec(input);
+    if (button) return BUTTON_NAMES[button[1]] || `按钮${button[1]}`;
+
+    const axis = /^axis:(\d+)([+-])$/.exec(input);
+    if (axis) {
+        const names = AXIS_NAMES[axis[1]];
+        const positive = axis[2] === '+';
+        return names ? names[positive ? 1 : 0] : `轴${axis[1]}${axis[2]}`;
+    }
+    return input;
+}
+
+/**
+ * 读取所有已连接手柄当前按下的输入（多个手柄合并）
+ * @returns {Set<string>} 按下的手柄输入
+ */
+function readPressedInputs() {
+    const pressed = new Set();
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+        pad.buttons.forEach((button, i) => {
+            if (button.pressed) pressed.add(`button:${i}`);
+        });
+        pad.axes.forEach((value, i) => {
+            if (value <= -AXIS_THRESHOLD) pressed.add(`axis:${i}-`);
+            if (value >= AXIS_THRESHOLD) pressed.add(`axis:${i}+`);
+        });
+    }
+    return pressed;
+}
+
+/**
+ * 手柄输入源
+ */
+export class GamepadInput {
+    /**
+     * @param {InputController} controller - 输入控制器
+     * @param {Object} padMap - 手柄输入 => 动作名称
+     */
+    constructor(controller, padMap) {
+        this.controller = controller;
+        this.padMap = padMap;
+        this.pressed = new Set();  // 上一次轮询时按下的输入
+        this.captureCallback = null; // 设置界面等待下一个手柄输入时的回调
+        this.frameId = null;
+
+        this._poll = this._poll.bind(this);
+        this._onConnected = () => this.startPolling();
+    }
+
+    /**
+     * 开始监听手柄连接（浏览器在手柄首次按键后才会报告连接）
+     */
+    attach() {
+        window.addEventListener('gamepadconnected', this._onConnected);
+        if (this.hasGamepad()) this.startPolling();
+    }
+
+    /**
+     * 停止监听并松开所有手柄输入
+     */
+    detach() {
+        window.removeEventListener('gamepadconnected', this._onConnected);
+        this.stopPolling();
+        this.releaseAll();
+    }
+
+    /**
+     * 是否有已连接的手柄
+     * @returns {boolean}
+     */
+    hasGamepad() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        return Array.from(pads).some(pad => pad && pad.connected);
+    }
+
+    /**
+     * 更新手柄映射
+     * @param {Object} padMap - 手柄输入 => 动作名称
+     */
+    setPadMap(padMap) {
+        this.releaseAll();
+        this.padMap = padMap;
+    }
+
+    /**
+     * 等待下一个按下的手柄输入（用于设置界面重新映射），该输入不会传给游戏
+     * @param {Function|null} callback - 回调 (input)，传 null 取消等待
+     */
+    captureNext(callback) {
+        this.captureCallback = callback;
+        if (callback) this.startPolling();
+    }
+
+    /**
+     * 开始轮询
+     */
+    startPolling() {
+        if (this.frameId === null) this.frameId = requestAnimationFrame(this._poll);
+    }
+
+    /**
+     * 停止轮询
+     */
+    stopPolling() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * 松开所有按下的手柄输入
+     */
+    releaseAll() {
+        this.pressed.forEach(input => this.controller.releaseInput(`pad:${input}`));
+        this.pressed.clear();
+    }
+
+    /**
+     * 单次轮询：比较本次与上次的按下状态，报告变化
+     */
+    _poll() {
+        this.frameId = null;
+        const current = readPressedInputs();
+
+        current.forEach(input => {
+            if (this.pressed.has(input)) return;
+            if (this.captureCallback) {
+                const callback = this.captureCallback;
+                this.captureCallback = null;
+                callback(input);
+                return;
+            }
+            const action = this.padMap[input];
+            if (action) this.controller.pressInput(`pad:${input}`, action);
+        });
+
+        this.pressed.forEach(input => {
+            if (!current.has(input)) this.controller.releaseInput(`pad:${input}`);
+        });
+        this.pressed = current;
+
+        // 手柄全部断开且没有等待映射时停止轮询，重新连接时再启动
+        if (this.hasGamepad() || this.captureCallback) {
+            this.frameId = requestAnimationFrame(this._poll);
+        } else {
+            this.releaseAll();
+        }
+    }
+}
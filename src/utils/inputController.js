@@ -0,0 +1,451 @@
+/**
+ * inputController.js - 输入控制器（DAS / ARR / 软降倍率）
+ *
+ * 用 keydown/keyup 记录按键状态，不依赖操作系统的按键重复：
+ * 左右移动按住超过 DAS 后按 ARR 间隔自动连移，软降按重力的倍数持续下落。
+ * 自动操作在游戏的固定 tick 中处理 (update)，与帧率无关
+ */
+
+import { CONSTANTS } from '../game/tetris.js';
+import { toggleGhostPiece } from './gameManager.js';
+import { loadSettings, DEFAULT_SETTINGS } from './settings.js';
+import { GamepadInput } from './gamepadInput.js';
+import { TouchInput, isTouchDevice } from './touchInput.js';
+
+// 每个 tick 的时长 (毫秒)
+const TICK_MS = 1000 / CONSTANTS.TICKS_PER_SECOND;
+
+// 软降倍率达到此值时视为瞬间软降（直接落到底部但不锁定）
+export const SOFT_DROP_INSTANT = 41;
+
+/**
+ * 可绑定按键的动作（按设置界面中的显示顺序）
+ */
+export const KEY_ACTIONS = [
+    { action: 'moveLeft', label: '左移' },
+    { action: 'moveRight', label: '右移' },
+    { action: 'softDrop', label: '软降' },
+    { action: 'hardDrop', label: '硬降' },
+    { action: 'rotateCW', label: '顺时针旋转' },
+    { action: 'rotateCCW', label: '逆时针旋转' },
+    { action: 'rotate180', label: '180° 旋转' },
+    { action: 'hold', label: '暂存' },
+    { action: 'toggleGhost', label: '幽灵方块开关' },
+    { action: 'pause', label: '暂停/继续' }
+];
+
+// 按键代码的显示名称（未列出的按键去掉 Key/Digit 前缀后显示）
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: '空格',
+    ShiftLeft: '左Shift',
+    ShiftRight: '右Shift',
+    ControlLeft: '左Ctrl',
+    ControlRight: '右Ctrl',
+    AltLeft: '左Alt',
+    AltRight: '右Alt',
+    Escape: 'Esc',
+    Enter: '回车'
+};
+
+/**
+ * 按键代码转换为显示名称，例如 KeyA => A、ArrowLeft => ←
+ * @param {string} code - 按键代码 (KeyboardEvent.code)
+ * @returns {string}
+ */
+export function formatKeyCode(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^(Key|Digit)/, '');
+}
+
+/**
+ * 由键位设置（动作 => 按键列表）生成 按键 => 动作 的查找表（手柄映射同样适用）
+ * 同一个按键绑定了多个动作时，以 KEY_ACTIONS 中靠前的动作为准
+ * @param {Object} bindings - 键位设置
+ * @returns {Object} 按键代码 => 动作名称
+ */
+export function buildKeyMap(bindings) {
+    const keyMap = {};
+    KEY_ACTIONS.slice().reverse().forEach(({ action }) => {
+        (bindings[action] || []).forEach(code => {
+            keyMap[code] = action;
+        });
+    });
+    return keyMap;
+}
+
+/**
+ * 将手感设置限制在合理范围内
+ * @param {Object} handling - { das, arr, softDropFactor }
+ * @returns {Object} 规范化后的手感设置
+ */
+export function normalizeHandling(handling = {}) {
+    const clamp = (value, min, max, fallback) => {
+        const n = value === '' || value === null ? NaN : Number(value);
+        return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    return {
+        das: clamp(handling.das, 0, 500, DEFAULT_SETTINGS.das),
+        arr: clamp(handling.arr, 0, 200, DEFAULT_SETTINGS.arr),
+        softDropFactor: clamp(handling.softDropFactor, 1, SOFT_DROP_INSTANT, DEFAULT_SETTINGS.softDropFactor)
+    };
+}
+
+/**
+ * 输入控制器
+ * 页面创建一个实例并 attach 到 document；每局游戏通过 bind(game) 挂到游戏的 tick 上。
+ * 键盘和手柄 (gamepadInput.js) 都通过 pressInput/releaseInput 报告按下和松开，共用同一套 DAS/ARR
+ */
+export class InputController {
+    /**
+     * @param {Function} getGame - 获取当前本地游戏实例的函数
+     * @param {Object} options - 配置选项
+     * @param {Function} options.shouldIgnore - 自定义判断是否忽略输入的函数 (event)
+     * @param {Function} options.onPause - 按下暂停键时调用 (game)，不提供时暂停键无效
+     * @param {Object} options.handling - 手感设置，缺省读取玩家设置（键位总是读取玩家设置）
+     */
+    constructor(getGame, options = {}) {
+        this.getGame = getGame;
+        this.shouldIgnore = options.shouldIgnore || null;
+        this.onPause = options.onPause || null;
+        const settings = loadSettings();
+        this.handling = normalizeHandling(options.handling || settings);
+        this.keyMap = buildKeyMap(settings.keyBindings); // 按键代码 => 动作名称
+        this.gamepad = new GamepadInput(this, buildKeyMap(settings.gamepadBindings)); // 手柄输入源
+        this.touch = null;          // 触屏输入源（attachTouch 后创建）
+        this.touchButtons = settings.touchButtons; // 是否显示屏幕按键（仅触屏设备）
+
+        this.heldInputs = new Map(); // 当前按住的输入 => 动作名称（键盘为按键代码，手柄带 pad: 前缀，触屏带 touch: 前缀）
+        this.direction = 0;         // 当前自动移动方向：-1 左 / 1 右 / 0 无
+        this.dasTimer = 0;          // 方向键已按住的时间 (毫秒)
+        this.arrTimer = 0;          // DAS 触发后累计的自动移动时间 (毫秒)
+        this.softDropping = false;  // 是否按住软降
+        this.softDropCounter = 0;   // 软降累计行数（不足一行的部分）
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onKeyUp = this._onKeyUp.bind(this);
+        this._onBlur = () => this.releaseAll();
+    }
+
+    /**
+     * 开始监听键盘事件和手柄
+     * @param {EventTarget} target - 监听目标，默认 document
+     */
+    attach(target = document) {
+        this.target = target;
+        target.addEventListener('keydown', this._onKeyDown);
+        target.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('blur', this._onBlur); // 失去焦点时收不到 keyup，视为全部松开
+        this.gamepad.attach();
+    }
+
+    /**
+     * 停止监听键盘事件和手柄
+     */
+    detach() {
+        if (!this.target) return;
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._onBlur);
+        this.gamepad.detach();
+        this.detachTouch();
+        this.target = null;
+        this.releaseAll();
+    }
+
+    /**
+     * 开始监听棋盘上的触屏手势，触屏设备上按设置显示屏幕按键
+     * @param {HTMLElement} surface - 接收手势的元素（本地棋盘画布）
+     */
+    attachTouch(surface) {
+        if (this.touch && this.touch.surface === surface) return;
+        this.detachTouch();
+        this.touch = new TouchInput(this, surface);
+        this.touch.attach();
+        this.touch.setButtonsVisible(this.touchButtons && isTouchDevice());
+    }
+
+    /**
+     * 停止监听触屏手势并移除屏幕按键（离开游戏界面时调用）
+     */
+    detachTouch() {
+        if (!this.touch) return;
+        this.touch.detach();
+        this.touch = null;
+    }
+
+    /**
+     * 屏幕按键占用的高度（未显示时为 0），布局时为其留出空间
+     * @returns {number} 像素
+     */
+    getTouchButtonsHeight() {
+        return this.touch && this.touch.buttons ? this.touch.buttons.offsetHeight : 0;
+    }
+
+    /**
+     * 将控制器挂到游戏的固定 tick 上（新的一局开始时调用）
+     * @param {TetrisGame} game - 本地游戏实例
+     */
+    bind(game) {
+        game.inputController = this;
+        this.releaseAll();
+    }
+
+    /**
+     * 更新手感设置
+     * @param {Object} handling - { das, arr, softDropFactor }
+     */
+    setHandling(handling) {
+        this.handling = normalizeHandling({ ...this.handling, ...handling });
+    }
+
+    /**
+     * 更新键位
+     * @param {Object} bindings - 动作名称 => 按键代码列表
+     */
+    setKeyBindings(bindings) {
+        this.keyMap = buildKeyMap(bindings);
+        this.releaseAll();
+    }
+
+    /**
+     * 应用玩家设置中的手感、键位、手柄映射和屏幕按键（设置修改或从服务器同步后调用）
+     * @param {Object} settings - 玩家设置
+     */
+    applySettings(settings) {
+        this.setHandling(settings);
+        this.setKeyBindings(settings.keyBindings);
+        this.gamepad.setPadMap(buildKeyMap(settings.gamepadBindings));
+        this.touchButtons = settings.touchButtons;
+        if (this.touch) this.touch.setButtonsVisible(this.touchButtons && isTouchDevice());
+    }
+
+    /**
+     * 松开所有按键，清除自动移动和软降状态
+     */
+    releaseAll() {
+        this.heldInputs.clear();
+        this.direction = 0;
+        this.dasTimer = 0;
+        this.arrTimer = 0;
+        this.softDropping = false;
+        this.softDropCounter = 0;
+    }
+
+    /**
+     * 查询按键对应的动作
+     * @param {string} code - 按键代码
+     * @returns {string|undefined} 动作名称
+     */
+    getAction(code) {
+        return this.keyMap[code];
+    }
+
+    /**
+     * 是否有绑定到指定动作的输入仍被按住
+     * @param {string} action - 动作名称
+     * @returns {boolean}
+     */
+    isActionHeld(action) {
+        for (const held of this.heldInputs.values()) {
+            if (held === action) return true;
+        }
+        return false;
+    }
+
+    /**
+     * keydown 处理：查找键位并报告按下
+     * @param {KeyboardEvent} event
+     */
+    _onKeyDown(event) {
+        const action = this.getAction(event.code);
+        if (!action) return;
+
+        // 忽略操作系统的按键重复，按住效果由 DAS/ARR 处理
+        if (event.repeat) {
+            if (this.heldInputs.has(event.code)) event.preventDefault();
+            return;
+        }
+
+        if (this.pressInput(event.code, action, event)) event.preventDefault();
+    }
+
+    /**
+     * keyup 处理：报告松开
+     * @param {KeyboardEvent} event
+     */
+    _onKeyUp(event) {
+        this.releaseInput(event.code);
+    }
+
+    /**
+     * 输入按下：记录按住状态并执行一次性动作
+     * @param {string} input - 输入标识（按键代码，手柄和触屏输入带 pad:/touch: 前缀）
+     * @param {string} action - 绑定的动作名称
+     * @param {Event} [event] - 原始事件（传给 shouldIgnore）
+     * @returns {boolean} 是否被游戏处理
+     */
+    pressInput(input, action, event = null) {
+        const game = this.getGame();
+
+        // 如果游戏未开始或已结束，忽略输入
+        if (!game || game.gameOver) return false;
+
+        // 自定义忽略逻辑（如检查是否在输入框中）
+        if (this.shouldIgnore && this.shouldIgnore(event)) return false;
+
+        if (this.heldInputs.has(input)) return true;
+        this.heldInputs.set(input, action);
+
+        // 暂停键：切换暂停状态
+        if (action === 'pause') {
+            if (this.onPause) this.onPause(game);
+            return true;
+        }
+
+        // 暂停期间忽略所有操作
+        if (game.paused) return true;
+
+        this.press(game, action);
+        return true;
+    }
+
+    /**
+     * 输入松开：必要时停止软降或切换自动移动方向
+     * @param {string} input - 输入标识（按键代码或手柄输入）
+     */
+    releaseInput(input) {
+        const action = this.heldInputs.get(input);
+        if (!action) return;
+        this.heldInputs.delete(input);
+
+        if (action === 'softDrop' && !this.isActionHeld('softDrop')) {
+            this.softDropping = false;
+            this.softDropCounter = 0;
+        }
+
+        if (action === 'moveLeft' || action === 'moveRight') {
+            const dir = action === 'moveLeft' ? -1 : 1;
+            if (this.direction !== dir || this.isActionHeld(action)) return;
+
+            // 松开当前方向时，如果仍按住反方向，则转向反方向（重新计算 DAS）
+            const opposite = dir === -1 ? 'moveRight' : 'moveLeft';
+            this.direction = this.isActionHeld(opposite) ? -dir : 0;
+            this.dasTimer = 0;
+            this.arrTimer = 0;
+            const game = this.getGame();
+            if (this.direction !== 0 && game && !game.gameOver && !game.paused) {
+                game.move(this.direction);
+            }
+        }
+    }
+
+    /**
+     * 执行按下动作
+     * @param {TetrisGame} game - 本地游戏实例
+     * @param {string} action - 动作名称
+     */
+    press(game, action) {
+        switch (action) {
+            case 'moveLeft':
+            case 'moveRight':
+                // 后按下的方向优先
+                this.direction = action === 'moveLeft' ? -1 : 1;
+                this.dasTimer = 0;
+                this.arrTimer = 0;
+                game.move(this.direction);
+                break;
+            case 'softDrop':
+                this.softDropping = true;
+                this.softDropCounter = 0;
+                this.softDrop(game, 1);
+                break;
+            case 'hardDrop':
+                game.hardDrop();
+                break;
+            case 'rotateCW':
+                game.rotate(1); // 顺时针
+                break;
+            case 'rotateCCW':
+                game.rotate(-1); // 逆时针
+                break;
+            case 'rotate180':
+                game.rotate(2); // 180°
+                break;
+            case 'hold':
+                game.hold();
+                break;
+            case 'toggleGhost':
+                toggleGhostPiece(game);
+                break;
+        }
+    }
+
+    /**
+     * 软降指定行数；瞬间软降时直接落到底部
+     * @param {TetrisGame} game - 本地游戏实例
+     * @param {number} rows - 下落行数
+     */
+    softDrop(game, rows) {
+        if (this.handling.softDropFactor >= SOFT_DROP_INSTANT) rows = game.board.length;
+        for (let i = 0; i < rows; i++) {
+            if (!game.softDrop()) break;
+        }
+    }
+
+    /**
+     * 每个 tick 调用一次（在模拟 tick 之前）：处理自动移动和持续软降
+     * @param {TetrisGame} game - 本地游戏实例
+     */
+    update(game) {
+        if (game.gameOver) return;
+
+        // 自动移动 (DAS / ARR)
+        if (this.direction !== 0) {
+            const charged = this.dasTimer >= this.handling.das;
+            this.dasTimer += TICK_MS;
+            if (this.handling.arr === 0 && this.dasTimer >= this.handling.das) {
+                // ARR 为 0：DAS 触发后立即移到墙边
+                while (game.move(this.direction));
+            } else if (!charged && this.dasTimer >= this.handling.das) {
+                // DAS 刚触发：立即移动一格，之后按 ARR 间隔移动
+                game.move(this.direction);
+                this.arrTimer = 0;
+            } else if (charged) {
+                this.arrTimer += TICK_MS;
+                while (this.arrTimer >= this.handling.arr) {
+                    this.arrTimer -= this.handling.arr;
+                    if (!game.move(this.direction)) {
+                        this.arrTimer = 0; // 靠墙时不积累，离开墙后按 ARR 重新计时
+                        break;
+                    }
+                }
+            }
+        }
+
+        // 持续软降：每 tick 下落 重力 x 倍率 行（瞬间软降时直接落到底部）
+        if (this.softDropping) {
+            this.softDropCounter += game.gravity * this.handling.softDropFactor;
+            const rows = Math.floor(this.softDropCounter);
+            this.softDropCounter -= rows;
+            if (rows > 0 || this.handling.softDropFactor >= SOFT_DROP_INSTANT) {
+                this.softDrop(game, rows);
+            }
+        }
+    }
+}
+
+/**
+ * 检查是否在输入框中（用于聊天时禁用游戏控制）
+ * @param {string} inputId - 输入框的 ID
+ * @returns {Function} 判断函数
+ */
+export function createInputChecker(inputId) {
+    return () => {
+        const inputEl = document.getElementById(inputId);
+        return inputEl && document.activeElement === inputEl;
+    };
+}
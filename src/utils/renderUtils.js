@@ -4,7 +4,34 @@
  * 提取三个游戏模式中重复的渲染逻辑
  */
 
-import { CONSTANTS } from '../game/tetris.js';
+import { CONSTANTS } from '../game/core.js';
+import { RULESET_PRESETS } from '../game/ruleset.js';
+
+/**
+ * 在画布中居中绘制单个方块矩阵
+ * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {HTMLCanvasElement} canvas - 目标画布
+ * @param {number[][]} piece - 方块矩阵
+ * @param {number} blockSize - 方块像素大小
+ */
+function drawPieceCentered(ctx, canvas, piece, blockSize) {
+    const offsetX = (canvas.width - piece[0].length * blockSize) / 2;
+    const offsetY = (canvas.height - piece.length * blockSize) / 2;
+
+    piece.forEach((row, y) => {
+        row.forEach((value, x) => {
+            if (value !== 0 && CONSTANTS && CONSTANTS.COLORS) {
+                ctx.fillStyle = CONSTANTS.COLORS[value];
+                ctx.fillRect(
+                    offsetX + x * blockSize,
+                    offsetY + y * blockSize,
+                    blockSize - 1,
+                    blockSize - 1
+                );
+            }
+        });
+    });
+}
 
 /**
  * 渲染5个预览方块到画布数组
@@ -28,34 +55,130 @@ export function renderNextPieces(canvases, pieces) {
 
         // 第一个方块较大，后面的较小
         const blockSize = index === 0 ? 18 : 12;
-        const offsetX = (canvas.width - piece[0].length * blockSize) / 2;
-        const offsetY = (canvas.height - piece.length * blockSize) / 2;
-
-        // 绘制方块
-        piece.forEach((row, y) => {
-            row.forEach((value, x) => {
-                if (value !== 0 && CONSTANTS && CONSTANTS.COLORS) {
-                    ctx.fillStyle = CONSTANTS.COLORS[value];
-                    ctx.fillRect(
-                        offsetX + x * blockSize,
-                        offsetY + y * blockSize,
-                        blockSize - 1,
-                        blockSize - 1
-                    );
-                }
-            });
-        });
+        drawPieceCentered(ctx, canvas, piece, blockSize);
     });
 }
 
+/**
+ * 渲染暂存方块
+ * @param {HTMLCanvasElement} canvas - 暂存画布
+ * @param {number[][]|null} piece - 暂存的方块矩阵，null 表示空
+ * @param {boolean} canHold - 当前是否允许暂存（不允许时半透明显示）
+ */
+export function renderHoldPiece(canvas, piece, canHold = true) {
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+
+    // 清空画布
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!piece) return;
+
+    ctx.save();
+    ctx.globalAlpha = canHold ? 1 : 0.35;
+    drawPieceCentered(ctx, canvas, piece, 18);
+    ctx.restore();
+}
+
+/**
+ * 将消除事件格式化为显示文本
+ * 例如 { type: 'tspin-double' } => 'T-SPIN DOUBLE'
+ * @param {Object} event - 消除事件 { type, lines, spin, combo }
+ * @returns {string}
+ */
+export function formatClearEvent(event) {
+    return event.type.split('-').join(' ').toUpperCase().replace('TSPIN', 'T-SPIN');
+}
+
+/**
+ * 在棋盘上方短暂显示消除类型文字（如 "T-SPIN DOUBLE"）
+ * 普通的单/双/三行消除不显示，避免干扰
+ * @param {HTMLElement} labelEl - 文字元素
+ * @param {Object} event - 消除事件 { type, lines, spin, combo }
+ */
+export function showClearLabel(labelEl, event) {
+    if (!labelEl) return;
+    if (event.spin === 'none' && event.lines < 4) return;
+
+    labelEl.textContent = formatClearEvent(event);
+    // 移除再添加 class 以重新触发 CSS 动画
+    labelEl.classList.remove('show');
+    void labelEl.offsetWidth;
+    labelEl.classList.add('show');
+}
+
+/**
+ * 更新连击 (Combo) 和背靠背 (B2B) 显示
+ * 引擎中 -1 表示未激活，显示为 0；激活时添加 active 样式
+ * @param {HTMLElement} comboEl - 连击数元素
+ * @param {HTMLElement} b2bEl - 背靠背数元素
+ * @param {{combo: number, backToBack: number}} state - 引擎状态
+ */
+export function renderComboInfo(comboEl, b2bEl, { combo, backToBack }) {
+    if (comboEl) {
+        comboEl.textContent = Math.max(combo, 0);
+        comboEl.classList.toggle('active', combo > 0);
+    }
+    if (b2bEl) {
+        b2bEl.textContent = Math.max(backToBack, 0);
+        b2bEl.classList.toggle('active', backToBack > 0);
+    }
+}
+
+/**
+ * 更新等级和消除行数显示
+ * @param {HTMLElement} levelEl - 等级显示元素
+ * @param {HTMLElement} linesEl - 消除行数显示元素
+ * @param {Object} state - 等级状态 { level, lines }
+ */
+export function renderLevelInfo(levelEl, linesEl, { level, lines }) {
+    if (levelEl) levelEl.textContent = level;
+    if (linesEl) linesEl.textContent = lines;
+}
+
+/**
+ * 更新垃圾行计量条（棋盘旁的红色竖条）
+ * @param {HTMLElement} meterEl - 计量条容器元素
+ * @param {number} lines - 待处理的垃圾行数
+ * @param {number} [rows] - 棋盘可见行数（满格高度）
+ */
+export function renderGarbageMeter(meterEl, lines, rows = RULESET_PRESETS.standard.rows) {
+    if (!meterEl) return;
+
+    const fill = meterEl.querySelector('.garbage-meter-fill');
+    if (fill) {
+        // 满格为一整个棋盘高度
+        const percent = Math.min(lines / rows, 1) * 100;
+        fill.style.height = `${percent}%`;
+    }
+    meterEl.title = `待处理垃圾行: ${lines}`;
+}
+
+/**
+ * 格式化用时为 mm:ss 或 mm:ss.mmm
+ * @param {number} ms - 毫秒
+ * @param {boolean} showMillis - 是否显示毫秒
+ * @returns {string}
+ */
+export function formatTime(ms, showMillis = false) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    const text = String(minutes).padStart(2, '0') + ':' + String(seconds).padStart(2, '0');
+    return showMillis ? `${text}.${String(Math.floor(ms % 1000)).padStart(3, '0')}` : text;
+}
+
 /**
  * 渲染排行榜到列表元素
  * @param {HTMLElement} listEl - ol/ul 列表元素
  * @param {Array} leaderboard - 排行榜数据 [{username, score}, ...]
  * @param {string|null} currentUsername - 当前用户名（用于高亮）
  * @param {number} maxItems - 最大显示条数
+ * @param {Function} formatValue - 条目成绩的显示文字 (entry)，默认显示分数
  */
-export function renderLeaderboard(listEl, leaderboard, currentUsername = null, maxItems = 10) {
+export function renderLeaderboard(listEl, leaderboard, currentUsername = null, maxItems = 10, formatValue = entry => entry.score) {
     if (!listEl) return;
 
     if (!leaderboard || leaderboard.length === 0) {
@@ -73,7 +196,7 @@ export function renderLeaderboard(listEl, leaderboard, currentUsername = null, m
             <li class="${rankClass} ${userClass}">
                 <span class="rank">${rank}</span>
                 <span class="username">${entry.username}</span>
-                <span class="score">${entry.score}</span>
+                <span class="score">${formatValue(entry)}</span>
             </li>
         `;
     }).join('');
@@ -92,3 +215,11 @@ export function getNextPieceCanvases() {
         document.getElementById('next-piece-4')
     ];
 }
+
+/**
+ * 获取暂存方块画布元素
+ * @returns {HTMLCanvasElement|null}
+ */
+export function getHoldPieceCanvas() {
+    return document.getElementById('hold-piece');
+}
@@ -0,0 +1,114 @@
+/**
+ * responsiveLayout.js - 按视口缩放棋盘
+ *
+ * 画布的绘制尺寸 (width/height 属性) 保持不变，只通过 CSS 尺寸缩小显示，
+ * 因此渲染代码和方块大小不受影响。缩放比例不超过 1，桌面端保持原样
+ */
+
+import { getNextPieceCanvases, getHoldPieceCanvas } from './renderUtils.js';
+
+// 窄屏布局的最大宽度 (像素)，与各页面样式表的媒体查询一致
+export const COMPACT_BREAKPOINT = 768;
+
+// 棋盘最小缩放比例
+const MIN_SCALE = 0.4;
+
+// 对手小棋盘的缩放比例：视口宽度上限 => 比例（从窄到宽）
+const OPPONENT_SCALES = [
+    { maxWidth: COMPACT_BREAKPOINT, scale: 0.6 },
+    { maxWidth: 1400, scale: 5 / 6 }
+];
+
+/**
+ * 是否为窄屏布局（手机竖屏等）
+ * @returns {boolean}
+ */
+export function isCompactLayout() {
+    return window.innerWidth <= COMPACT_BREAKPOINT;
+}
+
+/**
+ * 计算内容放入视口所需的缩放比例
+ * @param {number} width - 内容原始宽度 (像素)
+ * @param {number} height - 内容原始高度 (像素)
+ * @param {number} reservedWidth - 视口宽度中留给其他界面的部分
+ * @param {number} reservedHeight - 视口高度中留给其他界面的部分
+ * @returns {number} 缩放比例 [MIN_SCALE, 1]
+ */
+export function getFitScale(width, height, reservedWidth = 0, reservedHeight = 0) {
+    const scale = Math.min(
+        (window.innerWidth - reservedWidth) / width,
+        (window.innerHeight - reservedHeight) / height,
+        1
+    );
+    return Math.max(MIN_SCALE, scale);
+}
+
+/**
+ * 按比例设置画布的显示尺寸；比例为 1 时恢复原始尺寸
+ * @param {HTMLCanvasElement|null} canvas
+ * @param {number} scale - 缩放比例
+ */
+export function fitCanvas(canvas, scale) {
+    if (!canvas) return;
+    if (scale >= 1) {
+        canvas.style.width = '';
+        canvas.style.height = '';
+        return;
+    }
+    canvas.style.width = `${Math.round(canvas.width * scale)}px`;
+    canvas.style.height = `${Math.round(canvas.height * scale)}px`;
+}
+
+/**
+ * 缩放本地棋盘及其周围元素（暂存、预览、垃圾行计量条、消除文字）
+ * 棋盘尺寸随规则和缓冲行设置变化，每局创建游戏后需重新调用
+ * @param {HTMLCanvasElement} board - 本地棋盘画布
+ * @param {number} scale - 缩放比例
+ */
+export function fitBoardLayout(board, scale) {
+    fitCanvas(board, scale);
+    fitCanvas(getHoldPieceCanvas(), scale);
+    getNextPieceCanvases().forEach(canvas => fitCanvas(canvas, scale));
+
+    const meter = document.getElementById('garbage-meter');
+    if (meter) meter.style.height = scale < 1 ? board.style.height : '';
+
+    const label = document.getElementById('clear-label');
+    if (label) label.style.width = scale < 1 ? board.style.width : '';
+}
+
+/**
+ * 对手小棋盘的缩放比例
+ * @returns {number}
+ */
+export function getOpponentScale() {
+    const entry = OPPONENT_SCALES.find(({ maxWidth }) => window.innerWidth <= maxWidth);
+    return entry ? entry.scale : 1;
+}
+
+/**
+ * 视口大小或方向变化时调用回调（每帧最多一次），并立即调用一次
+ * @param {Function} callback - 重新布局的函数
+ * @returns {Function} 停止监听的函数
+ */
+export function watchViewport(callback) {
+    let frameId = null;
+    const schedule = () => {
+        if (frameId !== null) return;
+        frameId = requestAnimationFrame(() => {
+            frameId = null;
+            callback();
+        });
+    };
+
+    window.addEventListener('resize', schedule);
+    window.addEventListener('orientationchange', schedule);
+    callback();
+
+    return () => {
+        window.removeEventListener('resize', schedule);
+        window.removeEventListener('orientationchange', schedule);
+        if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * settings.js - 玩家个人设置模块
+ * 
+ * 使用 localStorage 持久化每个玩家的偏好设置，三个游戏模式共用
+ */
+
+const STORAGE_KEY = 'tetris_settings';
+
+/**
+ * 默认键位：动作名称 => 按键代码 (KeyboardEvent.code) 列表
+ */
+export const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    softDrop: ['ArrowDown', 'KeyS'],
+    hardDrop: ['Space'],
+    rotateCW: ['ArrowUp', 'KeyW', 'KeyX'],
+    rotateCCW: ['KeyZ', 'KeyQ'],
+    rotate180: ['KeyE'],
+    hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
+    toggleGhost: ['KeyG'],
+    pause: ['Escape', 'KeyP']
+};
+
+/**
+ * 默认手柄映射（标准布局）：动作名称 => 手柄输入列表
+ * 输入格式：button:<按钮序号> 或 axis:<轴序号><+/->（摇杆推向正/负方向）
+ */
+export const DEFAULT_GAMEPAD_BINDINGS = {
+    moveLeft: ['button:14', 'axis:0-'],
+    moveRight: ['button:15', 'axis:0+'],
+    softDrop: ['button:13', 'axis:1+'],
+    hardDrop: ['button:12'],
+    rotateCW: ['button:1'],
+    rotateCCW: ['button:0'],
+    rotate180: ['button:3'],
+    hold: ['button:4', 'button:5'],
+    toggleGhost: ['button:8'],
+    pause: ['button:9']
+};
+
+// 棋盘顶部最多额外显示的缓冲行数
+export const MAX_BUFFER_PEEK = 4;
+
+// 默认设置
+export const DEFAULT_SETTINGS = {
+    showGhost: true,    // 是否显示幽灵方块（落点预览）
+    bufferPeek: 0,      // 在棋盘顶部额外显示的隐藏缓冲行数 (0 ~ MAX_BUFFER_PEEK)
+    das: 167,           // 自动移动延迟 (Delayed Auto Shift，毫秒)
+    arr: 33,            // 自动移动间隔 (Auto Repeat Rate，毫秒)，0 为瞬间移到墙边
+    softDropFactor: 20, // 软降倍率（当前重力的倍数），41 为瞬间软降
+    keyBindings: DEFAULT_KEY_BINDINGS, // 键位
+    gamepadBindings: DEFAULT_GAMEPAD_BINDINGS, // 手柄映射
+    touchButtons: true, // 触屏设备上是否显示屏幕按键（手势操作始终可用）
+    syncToServer: true  // 登录后是否把设置保存到账号（服务器）
+};
+
+/**
+ * 读取玩家设置（缺失的字段使用默认值）
+ * @returns {Object} 设置对象
+ */
+export function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            ...DEFAULT_SETTINGS,
+            ...saved,
+            // 键位和手柄映射逐个动作合并，新增的动作使用默认值
+            keyBindings: { ...DEFAULT_KEY_BINDINGS, ...(saved.keyBindings || {}) },
+            gamepadBindings: { ...DEFAULT_GAMEPAD_BINDINGS, ...(saved.gamepadBindings || {}) }
+        };
+    } catch (error) {
+        console.warn('读取设置失败，使用默认设置:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * 保存玩家设置（与已有设置合并）
+ * @param {Object} changes - 需要修改的设置字段
+ * @returns {Object} 合并后的设置对象
+ */
+export function saveSettings(changes) {
+    const settings = { ...loadSettings(), ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * 从服务器读取账号保存的设置，并合并到本地设置
+ * 未开启同步、未保存过或网络错误时保留本地设置
+ * @param {Object|null} user - 当前登录用户 { id, username }
+ * @returns {Promise<Object>} 合并后的设置对象
+ */
+export async function syncSettingsFromServer(user) {
+    if (!user || !loadSettings().syncToServer) return loadSettings();
+
+    try {
+        const response = await fetch(`/api/settings/${user.id}`);
+        const data = await response.json();
+        if (data.success && data.settings) {
+            return saveSettings(data.settings);
+        }
+    } catch (error) {
+        console.warn('读取账号设置失败，使用本地设置:', error);
+    }
+    return loadSettings();
+}
+
+/**
+ * 将本地设置保存到服务器（需已登录且开启同步）
+ * @param {Object|null} user - 当前登录用户 { id, username }
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+export async function saveSettingsToServer(user) {
+    const settings = loadSettings();
+    if (!user || !settings.syncToServer) return false;
+
+    try {
+        const response = await fetch('/api/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userId: user.id, settings })
+        });
+        const data = await response.json();
+        if (!data.success) console.error('保存账号设置失败:', data.error);
+        return Boolean(data.success);
+    } catch (error) {
+        console.error('网络错误，账号设置保存失败:', error);
+        return false;
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * settingsPanel.js - 个人设置界面
+ *
+ * 编辑手感 (DAS/ARR/软降倍率)、缓冲行显示、键位、手柄映射和屏幕按键开关，保存到 localStorage，
+ * 登录且开启同步时同时保存到账号（服务器）
+ */
+
+import { KEY_ACTIONS, formatKeyCode, normalizeHandling } from './inputController.js';
+import { formatGamepadInput } from './gamepadInput.js';
+import { DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS, MAX_BUFFER_PEEK, loadSettings, saveSettings, saveSettingsToServer } from './settings.js';
+
+/**
+ * 可编辑的绑定类型：设置字段 => 槽位数量、显示格式和默认值
+ */
+const BINDING_KINDS = {
+    keyBindings: { slots: 3, format: formatKeyCode, defaults: DEFAULT_KEY_BINDINGS, prompt: '按下按键…' },
+    gamepadBindings: { slots: 2, format: formatGamepadInput, defaults: DEFAULT_GAMEPAD_BINDINGS, prompt: '按下手柄…' }
+};
+
+/**
+ * 创建设置界面控制器
+ * @param {Object} elements - 界面元素
+ * @param {HTMLElement} elements.container - 模态框
+ * @param {HTMLInputElement} elements.das - DAS 输入框
+ * @param {HTMLInputElement} elements.arr - ARR 输入框
+ * @param {HTMLInputElement} elements.softDropFactor - 软降倍率输入框
+ * @param {HTMLInputElement} elements.bufferPeek - 缓冲行显示数量输入框
+ * @param {HTMLElement} elements.keyBindings - 键位列表容器
+ * @param {HTMLElement} elements.gamepadBindings - 手柄映射列表容器
+ * @param {HTMLInputElement} elements.touchButtons - 显示屏幕按键复选框
+ * @param {HTMLInputElement} elements.syncToServer - 同步到账号复选框
+ * @param {HTMLButtonElement} elements.saveBtn - 保存按钮
+ * @param {HTMLButtonElement} elements.resetKeysBtn - 恢复默认键位和手柄映射按钮
+ * @param {HTMLButtonElement} elements.closeBtn - 关闭按钮
+ * @param {Object} options - 配置选项
+ * @param {Function} options.getUser - 获取当前登录用户的函数
+ * @param {Function} options.onSave - 保存后调用 (settings)
+ * @param {GamepadInput} options.gamepad - 手柄输入源（用于等待手柄按键）
+ * @returns {{open: Function, close: Function}}
+ */
+export function createSettingsPanel(elements, options = {}) {
+    let drafts = {};     // 编辑中的绑定：类型 => 动作 => 固定长度的输入数组（空位为 null）
+    let capture = null;  // 正在等待输入的槽位 { kind, action, slot }
+
+    /**
+     * 将绑定设置转换为固定槽位的编辑副本
+     * @param {string} kind - 绑定类型 (BINDING_KINDS 的键)
+     * @param {Object} bindings - 动作 => 输入列表
+     */
+    function setDraft(kind, bindings) {
+        const { slots } = BINDING_KINDS[kind];
+        drafts[kind] = {};
+        KEY_ACTIONS.forEach(({ action }) => {
+            const inputs = (bindings[action] || []).slice(0, slots);
+            drafts[kind][action] = Array.from({ length: slots }, (_, i) => inputs[i] || null);
+        });
+    }
+
+    /**
+     * 开始或取消等待输入；手柄槽位交给手柄输入源等待下一个按键
+     * @param {Object|null} target - { kind, action, slot }，null 为取消
+     */
+    function setCapture(target) {
+        capture = target;
+        if (options.gamepad) {
+            options.gamepad.captureNext(capture && capture.kind === 'gamepadBindings' ? assignCaptured : null);
+        }
+        renderAll();
+    }
+
+    /**
+     * 将输入绑定到正在等待的槽位，并从其他动作移除同一个输入
+     * @param {string|null} input - 输入标识，null 为清空槽位
+     */
+    function assignCaptured(input) {
+        if (!capture) return;
+        const { kind, action, slot } = capture;
+        if (input) {
+            Object.values(drafts[kind]).forEach(inputs => {
+                inputs.forEach((existing, i) => {
+                    if (existing === input) inputs[i] = null;
+                });
+            });
+        }
+        drafts[kind][action][slot] = input;
+        setCapture(null);
+    }
+
+    /**
+     * 渲染一种绑定的列表
+     * @param {string} kind - 绑定类型
+     */
+    function renderBindings(kind) {
+        const container = elements[kind];
+        const { format, prompt } = BINDING_KINDS[kind];
+        container.innerHTML = '';
+        KEY_ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('div');
+            row.className = 'key-binding-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            row.appendChild(name);
+
+            drafts[kind][action].forEach((input, slot) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'key-slot';
+                const capturing = capture && capture.kind === kind && capture.action === action && capture.slot === slot;
+                btn.classList.toggle('capturing', capturing);
+                btn.textContent = capturing ? prompt : (input ? format(input) : '—');
+                btn.addEventListener('click', () => {
+                    // 再次点击正在等待的槽位取消
+                    setCapture(capturing ? null : { kind, action, slot });
+                });
+                row.appendChild(btn);
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * 渲染所有绑定列表
+     */
+    function renderAll() {
+        Object.keys(BINDING_KINDS).forEach(renderBindings);
+    }
+
+    /**
+     * 等待输入时的 keydown 处理（捕获阶段，不传给游戏输入）
+     * Backspace/Delete 清空槽位；手柄槽位只响应这两个键
+     * @param {KeyboardEvent} event
+     */
+    function onCaptureKey(event) {
+        if (!capture) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (event.code === 'Backspace' || event.code === 'Delete') {
+            assignCaptured(null);
+        } else if (capture.kind === 'keyBindings') {
+            assignCaptured(event.code);
+        }
+    }
+
+    /**
+     * 打开设置界面，填入当前设置
+     */
+    function open() {
+        const settings = loadSettings();
+        elements.das.value = settings.das;
+        elements.arr.value = settings.arr;
+        elements.softDropFactor.value = settings.softDropFactor;
+        elements.bufferPeek.value = settings.bufferPeek;
+        elements.touchButtons.checked = settings.touchButtons;
+        elements.syncToServer.checked = settings.syncToServer;
+        Object.keys(BINDING_KINDS).forEach(kind => setDraft(kind, settings[kind]));
+        setCapture(null);
+        elements.container.classList.remove('hidden');
+        document.addEventListener('keydown', onCaptureKey, true);
+    }
+
+    /**
+     * 关闭设置界面（不保存）
+     */
+    function close() {
+        setCapture(null);
+        elements.container.classList.add('hidden');
+        document.removeEventListener('keydown', onCaptureKey, true);
+    }
+
+    /**
+     * 保存设置（数值限制在合理范围内）
+     */
+    async function save() {
+        const bindings = {};
+        Object.keys(drafts).forEach(kind => {
+            bindings[kind] = {};
+            Object.keys(drafts[kind]).forEach(action => {
+                bindings[kind][action] = drafts[kind][action].filter(Boolean);
+            });
+        });
+
+        // 缓冲行数取整并限制在 0 ~ MAX_BUFFER_PEEK，无效输入视为不显示
+        const bufferPeek = Math.floor(Number(elements.bufferPeek.value));
+
+        const settings = saveSettings({
+            ...normalizeHandling({
+                das: elements.das.value,
+                arr: elements.arr.value,
+                softDropFactor: elements.softDropFactor.value
+            }),
+            bufferPeek: Number.isFinite(bufferPeek) ? Math.min(MAX_BUFFER_PEEK, Math.max(0, bufferPeek)) : 0,
+            ...bindings,
+            touchButtons: elements.touchButtons.checked,
+            syncToServer: elements.syncToServer.checked
+        });
+        close();
+
+        if (options.onSave) options.onSave(settings);
+        if (options.getUser) await saveSettingsToServer(options.getUser());
+    }
+
+    elements.saveBtn.addEventListener('click', save);
+    elements.closeBtn.addEventListener('click', close);
+    elements.resetKeysBtn.addEventListener('click', () => {
+        Object.keys(BINDING_KINDS).forEach(kind => setDraft(kind, BINDING_KINDS[kind].defaults));
+        setCapture(null);
+    });
+
+    return { open, close };
+}
+
+/**
+ * 按当前键位渲染操作指南
+ * @param {HTMLElement} listEl - 操作指南列表容器
+ * @param {Object} keyBindings - 动作 => 按键列表
+ */
+export function renderControlsInfo(listEl, keyBindings) {
+    if (!listEl) return;
+    listEl.innerHTML = KEY_ACTIONS.map(({ action, label }) => {
+        const keys = (keyBindings[action] || []).map(formatKeyCode).join('/') || '—';
+        return `<div class="control-row"><span class="key">${keys}</span> ${label}</div>`;
+    }).join('');
+}
@@ -0,0 +1,113 @@
+/**
+ * singleModes.js - 单人游戏模式
+ *
+ * 每个模式描述规则覆盖、排名方式和成绩接口。单人页面根据 URL 参数 ?mode= 选择模式，
+ * 大厅排行榜按同一份列表切换
+ */
+
+import { CONSTANTS } from '../game/core.js';
+import { formatTime } from './renderUtils.js';
+
+/**
+ * 挖掘模式的难度预设：开局垃圾行数、洞口换列概率 (百分比) 和定时垃圾行间隔 (tick)
+ * 难度名称与服务器的 DIG_DIFFICULTIES 一致
+ */
+export const DIG_DIFFICULTIES = {
+    easy: { title: '简单', digRows: 8, digMessiness: 20, digInterval: 10 * CONSTANTS.TICKS_PER_SECOND },
+    normal: { title: '普通', digRows: 10, digMessiness: 50, digInterval: 6 * CONSTANTS.TICKS_PER_SECOND },
+    hard: { title: '困难', digRows: 14, digMessiness: 100, digInterval: 3 * CONSTANTS.TICKS_PER_SECOND }
+};
+
+/**
+ * 创建指定难度的挖掘模式：挖完开局垃圾行即完成，用时和方块数各有一个排行榜
+ * @param {string} difficulty - 难度 (DIG_DIFFICULTIES 的键)
+ * @returns {Object} 模式定义
+ */
+function createDigMode(difficulty) {
+    const { title, ...rules } = DIG_DIFFICULTIES[difficulty];
+    const leaderboardUrl = `/api/dig/leaderboard?difficulty=${difficulty}`;
+    return {
+        name: `dig-${difficulty}`,
+        title: `挖掘 (${title})`,
+        rules,
+        ranking: 'time',
+        submitUrl: '/api/dig',
+        leaderboards: [
+            { title: '用时', url: `${leaderboardUrl}&sort=time`, formatEntry: (entry) => formatTime(entry.timeMs, true) },
+            { title: '方块数', url: `${leaderboardUrl}&sort=pieces`, formatEntry: (entry) => `${entry.pieces} 块` }
+        ],
+        getResult: (game) => game.completed ? { difficulty, timeMs: game.getElapsedMs(), pieces: game.pieceCount } : null,
+        formatResult: (result) => formatTime(result.timeMs, true)
+    };
+}
+
+/**
+ * 单人模式定义
+ * - rules: 叠加到标准规则上的覆盖字段
+ * - ranking: 排名依据 ('score' 分数越高越好 / 'time' 用时越短越好)
+ * - submitUrl: 成绩提交接口
+ * - leaderboards: 排行榜列表 [{ title, url, formatEntry(entry) }]，第一个为默认显示的排行榜
+ * - getResult(game): 对局结束时提交的成绩，未达成目标时返回 null（不提交）
+ * - formatResult(result): 成绩的显示文字
+ */
+export const SINGLE_MODES = {
+    // 无尽模式：一直玩到顶出，按最高分排名
+    marathon: {
+        name: 'marathon',
+        title: '单人模式',
+        rules: {},
+        ranking: 'score',
+        submitUrl: '/api/score',
+        leaderboards: [
+            { title: '分数', url: '/api/leaderboard', formatEntry: (entry) => String(entry.score) }
+        ],
+        getResult: (game) => ({ score: game.score }),
+        formatResult: (result) => String(result.score)
+    },
+
+    // 40 行冲刺：消除 40 行即完成，按用时排名
+    sprint: {
+        name: 'sprint',
+        title: '40 行冲刺',
+        rules: { lineGoal: 40 },
+        ranking: 'time',
+        submitUrl: '/api/sprint',
+        leaderboards: [
+            { title: '用时', url: '/api/sprint/leaderboard', formatEntry: (entry) => formatTime(entry.timeMs, true) }
+        ],
+        getResult: (game) => game.completed ? { timeMs: game.getElapsedMs(), pieces: game.pieceCount } : null,
+        formatResult: (result) => formatTime(result.timeMs, true)
+    },
+
+    // 2 分钟限时：固定重力，时间到即结束，按分数排名（与无尽模式分开记录）
+    // 必须坚持满 2 分钟：中途顶出的对局与冲刺、挖掘一样不计成绩
+    ultra: {
+        name: 'ultra',
+        title: '2 分钟限时',
+        rules: { timeLimit: 120 * CONSTANTS.TICKS_PER_SECOND, gravityCurve: 'fixed' },
+        ranking: 'score',
+        submitUrl: '/api/ultra',
+        leaderboards: [
+            { title: '分数', url: '/api/ultra/leaderboard', formatEntry: (entry) => String(entry.score) }
+        ],
+        getResult: (game) => game.completed ? { score: game.score, lines: game.lines, pieces: game.pieceCount } : null,
+        formatResult: (result) => String(result.score)
+    },
+
+    // 挖掘：清除开局的垃圾行，期间定时收到新的垃圾行
+    'dig-easy': createDigMode('easy'),
+    'dig-normal': createDigMode('normal'),
+    'dig-hard': createDigMode('hard')
+};
+
+// 默认单人模式
+export const DEFAULT_SINGLE_MODE = 'marathon';
+
+/**
+ * 按名称获取单人模式，未知名称返回默认模式
+ * @param {string|null} name - 模式名称 (SINGLE_MODES 的键)
+ * @returns {Object} 模式定义
+ */
+export function getSingleMode(name) {
+    return SINGLE_MODES[name] || SINGLE_MODES[DEFAULT_SINGLE_MODE];
+}
@@ -0,0 +1,253 @@
+/**
+ * touchInput.js - 触屏输入源
+ *
+ * 棋盘上的手势：左右拖动按格移动，向下拖动软降，快速下滑硬降，快速上滑暂存，
+ * 轻点右半边顺时针旋转、左半边逆时针旋转。另可显示屏幕按键（按住左右同样触发 DAS/ARR）。
+ * 与手柄一样通过 pressInput/releaseInput 报告给输入控制器
+ */
+
+// 轻点判定：移动不超过此距离 (像素) 且时长不超过此时间 (毫秒)
+const TAP_MAX_MOVE = 10;
+const TAP_MAX_TIME = 250;
+
+// 快速滑动判定：速度 (像素/毫秒) 和最小距离（格）
+const FLICK_VELOCITY = 0.8;
+const FLICK_MIN_CELLS = 2;
+
+// 屏幕按键：左侧为移动和下落，右侧为旋转和暂存
+const TOUCH_BUTTONS = [
+    [
+        { action: 'moveLeft', label: '◀' },
+        { action: 'softDrop', label: '▼' },
+        { action: 'moveRight', label: '▶' },
+        { action: 'hardDrop', label: '⤓' }
+    ],
+    [
+        { action: 'hold', label: '暂存' },
+        { action: 'rotateCCW', label: '↺' },
+        { action: 'rotateCW', label: '↻' },
+        { action: 'rotate180', label: '180' }
+    ]
+];
+
+/**
+ * 是否为触屏设备（主要指针为粗指针）
+ * @returns {boolean}
+ */
+export function isTouchDevice() {
+    return window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : 'ontouchstart' in window;
+}
+
+/**
+ * 让聊天输入框等失去焦点：触摸棋盘或屏幕按键时收起软键盘，且不再被视为正在输入
+ */
+function blurActiveElement() {
+    if (document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.blur();
+    }
+}
+
+/**
+ * 触屏输入源
+ */
+export class TouchInput {
+    /**
+     * @param {InputController} controller - 输入控制器
+     * @param {HTMLElement} surface - 接收手势的元素（棋盘画布）
+     */
+    constructor(controller, surface) {
+        this.controller = controller;
+        this.surface = surface;
+        this.gesture = null;   // 进行中的手势 { id, startX, startY, startTime, lastX, lastY, moved }
+        this.buttons = null;   // 屏幕按键容器
+
+        this._onTouchStart = this._onTouchStart.bind(this);
+        this._onTouchMove = this._onTouchMove.bind(this);
+        this._onTouchEnd = this._onTouchEnd.bind(this);
+        this._onTouchCancel = () => { this.gesture = null; };
+    }
+
+    /**
+     * 开始监听棋盘上的手势
+     */
+    attach() {
+        // passive: false 以便阻止页面滚动和缩放
+        this.surface.addEventListener('touchstart', this._onTouchStart, { passive: false });
+        this.surface.addEventListener('touchmove', this._onTouchMove, { passive: false });
+        this.surface.addEventListener('touchend', this._onTouchEnd);
+        this.surface.addEventListener('touchcancel', this._onTouchCancel);
+    }
+
+    /**
+     * 停止监听手势并移除屏幕按键（松开仍按住的屏幕按键）
+     */
+    detach() {
+        this.surface.removeEventListener('touchstart', this._onTouchStart);
+        this.surface.removeEventListener('touchmove', this._onTouchMove);
+        this.surface.removeEventListener('touchend', this._onTouchEnd);
+        this.surface.removeEventListener('touchcancel', this._onTouchCancel);
+        this.setButtonsVisible(false);
+        this.gesture = null;
+        Array.from(this.controller.heldInputs.keys())
+            .filter(input => input.startsWith('touch:'))
+            .forEach(input => this.controller.releaseInput(input));
+    }
+
+    /**
+     * 显示或隐藏屏幕按键（首次显示时创建）
+     * @param {boolean} visible
+     * @param {HTMLElement} [parent] - 按键容器的父元素，默认 document.body
+     */
+    setButtonsVisible(visible, parent = document.body) {
+        // 页面底部留出屏幕按键的位置
+        document.body.classList.toggle('has-touch-controls', visible);
+        if (!visible) {
+            if (this.buttons) {
+                this.buttons.remove();
+                this.buttons = null;
+            }
+            return;
+        }
+        if (this.buttons) return;
+
+        this.buttons = document.createElement('div');
+        this.buttons.className = 'touch-controls';
+        TOUCH_BUTTONS.forEach(group => {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'touch-controls-group';
+            group.forEach(({ action, label }) => groupEl.appendChild(this._createButton(action, label)));
+            this.buttons.appendChild(groupEl);
+        });
+        parent.appendChild(this.buttons);
+    }
+
+    /**
+     * 创建单个屏幕按键：按下/松开分别报告，按住移动键时由 DAS/ARR 连续移动
+     * @param {string} action - 动作名称
+     * @param {string} label - 显示文字
+     * @returns {HTMLButtonElement}
+     */
+    _createButton(action, label) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'touch-btn';
+        btn.textContent = label;
+
+        const input = `touch:${action}`;
+        const release = () => {
+            btn.classList.remove('active');
+            this.controller.releaseInput(input);
+        };
+        btn.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            blurActiveElement();
+            btn.setPointerCapture(event.pointerId);
+            btn.classList.add('active');
+            this.controller.pressInput(input, action, event);
+        });
+        btn.addEventListener('pointerup', release);
+        btn.addEventListener('pointercancel', release);
+        btn.addEventListener('lostpointercapture', release);
+        return btn;
+    }
+
+    /**
+     * 触发一次动作（按下后立即松开）
+     * @param {string} action - 动作名称
+     */
+    tap(action) {
+        this.controller.pressInput('touch:gesture', action);
+        this.controller.releaseInput('touch:gesture');
+    }
+
+    /**
+     * 棋盘上一格对应的屏幕像素
+     * @returns {number}
+     */
+    getCellSize() {
+        const game = this.controller.getGame();
+        const cols = game ? game.renderer.cols : 10;
+        return this.surface.getBoundingClientRect().width / cols;
+    }
+
+    /**
+     * @param {TouchEvent} event
+     */
+    _onTouchStart(event) {
+        event.preventDefault();
+        blurActiveElement();
+        if (this.gesture) return; // 只跟踪第一根手指
+        const touch = event.changedTouches[0];
+        this.gesture = {
+            id: touch.identifier,
+            startX: touch.clientX,
+            startY: touch.clientY,
+            startTime: event.timeStamp,
+            lastX: touch.clientX,
+            lastY: touch.clientY,
+            moved: false
+        };
+    }
+
+    /**
+     * 拖动：每经过一格触发一次移动或软降
+     * @param {TouchEvent} event
+     */
+    _onTouchMove(event) {
+        event.preventDefault();
+        const touch = this._findTouch(event);
+        if (!touch) return;
+
+        const gesture = this.gesture;
+        const cell = this.getCellSize();
+
+        while (Math.abs(touch.clientX - gesture.lastX) >= cell) {
+            const dir = Math.sign(touch.clientX - gesture.lastX);
+            this.tap(dir < 0 ? 'moveLeft' : 'moveRight');
+            gesture.lastX += dir * cell;
+            gesture.moved = true;
+        }
+
+        while (touch.clientY - gesture.lastY >= cell) {
+            this.tap('softDrop');
+            gesture.lastY += cell;
+            gesture.moved = true;
+        }
+    }
+
+    /**
+     * 松开：判断轻点或快速滑动
+     * @param {TouchEvent} event
+     */
+    _onTouchEnd(event) {
+        const touch = this._findTouch(event);
+        if (!touch) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+
+        const dx = touch.clientX - gesture.startX;
+        const dy = touch.clientY - gesture.startY;
+        const duration = Math.max(1, event.timeStamp - gesture.startTime);
+        const minFlick = FLICK_MIN_CELLS * this.getCellSize();
+
+        if (!gesture.moved && Math.abs(dx) < TAP_MAX_MOVE && Math.abs(dy) < TAP_MAX_MOVE && duration <= TAP_MAX_TIME) {
+            // 轻点：右半边顺时针，左半边逆时针
+            const rect = this.surface.getBoundingClientRect();
+            this.tap(touch.clientX >= rect.left + rect.width / 2 ? 'rotateCW' : 'rotateCCW');
+        } else if (Math.abs(dy) > Math.abs(dx) && Math.abs(dy) >= minFlick && Math.abs(dy) / duration >= FLICK_VELOCITY) {
+            // 快速下滑硬降，快速上滑暂存
+            this.tap(dy > 0 ? 'hardDrop' : 'hold');
+        }
+    }
+
+    /**
+     * 在事件中找到当前跟踪的手指
+     * @param {TouchEvent} event
+     * @returns {Touch|null}
+     */
+    _findTouch(event) {
+        if (!this.gesture) return null;
+        return Array.from(event.changedTouches).find(t => t.identifier === this.gesture.id) || null;
+    }
+}